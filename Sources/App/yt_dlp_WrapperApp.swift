@@ -203,7 +203,7 @@ class AppDelegate: NSObject, NSApplicationDelegate {
     
     private func handleIncomingURL(_ url: URL) {
         // Handle vidpull:// URL scheme
-        // Format: vidpull://download?url=<encoded_url>
+        // Format: vidpull://download?url=<encoded_url>[&format=<format>][&header=<Name: value>...][&start=<seconds>][&end=<seconds>][&playlist=1[&items=<spec>]][&subs=<langs>][&thumbnail=1][&metadata=1][&chapters=1][&output=<template>]
         guard url.scheme == "vidpull" else { return }
         
         if url.host == "download" {
@@ -212,9 +212,46 @@ class AppDelegate: NSObject, NSApplicationDelegate {
                let queryItems = components.queryItems,
                let urlParam = queryItems.first(where: { $0.name == "url" }),
                let videoURLString = urlParam.value {
+                // Optional format chosen in the extension's overlay menu
+                let format = queryItems.first(where: { $0.name == "format" })?.value
+                    .flatMap { YTDLPConfig.FormatOption(rawValue: $0) }
+                // Headers needed to fetch a captured HLS/DASH stream (Referer etc.)
+                let headers = queryItems.filter { $0.name == "header" }.compactMap { $0.value }
+                // Time range marked in the extension's clip mode
+                let clipStart = queryItems.first(where: { $0.name == "start" })?.value.flatMap(Double.init)
+                let clipEnd = queryItems.first(where: { $0.name == "end" })?.value.flatMap(Double.init)
+                // Whole playlist/channel chosen in the extension, optionally limited to some items
+                let isPlaylist = queryItems.first(where: { $0.name == "playlist" })?.value == "1" ? true : nil
+                let playlistItems = queryItems.first(where: { $0.name == "items" })?.value
+                // Extras picked in the extension; an empty subs list means any language
+                let subtitleLanguages = queryItems.first(where: { $0.name == "subs" }).map {
+                    ($0.value ?? "").split(separator: ",").map(String.init)
+                }
+                let extras = YTDLPConfig.Extras(
+                    subtitleLanguages: subtitleLanguages,
+                    embedThumbnail: queryItems.first(where: { $0.name == "thumbnail" })?.value == "1",
+                    writeMetadata: queryItems.first(where: { $0.name == "metadata" })?.value == "1",
+                    embedChapters: queryItems.first(where: { $0.name == "chapters" })?.value == "1"
+                )
+                // Filename from the extension's template; links may not write outside the output folder
+                let outputTemplate = queryItems.first(where: { $0.name == "output" })?.value.flatMap { template in
+                    template.isEmpty || template.hasPrefix("/") || template.split(separator: "/").contains("..")
+                        ? nil : template
+                }
+                
                 DispatchQueue.main.async { [weak self] in
                     // Set the URL directly on the shared manager
-                    sharedDownloadManager.setURLFromExtension(videoURLString)
+                    sharedDownloadManager.setURLFromExtension(
+                        videoURLString,
+                        format: format,
+                        headers: headers,
+                        clipStart: clipStart,
+                        clipEnd: clipEnd,
+                        isPlaylist: isPlaylist,
+                        playlistItems: playlistItems,
+                        extras: extras.isEmpty ? nil : extras,
+                        outputTemplate: outputTemplate
+                    )
                     
                     // Open the popover
                     DispatchQueue.main.asyncAfter(deadline: .now() + 0.15) {
@@ -11,6 +11,13 @@ struct DownloadItemModel: Identifiable, Equatable, Codable {
     var errorMessage: String?
     var fileName: String?
     var format: YTDLPConfig.FormatOption?  // Store the format used for this download
+    var headers: [String]?  // "Name: value" request headers passed by the extension
+    var clipStart: Double?  // Seconds into the video to start from (extension clip mode)
+    var clipEnd: Double?  // Seconds into the video to stop at
+    var isPlaylist: Bool?  // Whole playlist requested by the extension (nil uses the app setting)
+    var playlistItems: String?  // yt-dlp --playlist-items spec, e.g. "3:10"
+    var extras: YTDLPConfig.Extras?  // Subtitles, thumbnail, metadata and chapters from the extension
+    var outputTemplate: String?  // yt-dlp output template from the extension's filename template, without extension
 
     init(
         id: UUID = UUID(),
@@ -22,7 +29,14 @@ struct DownloadItemModel: Identifiable, Equatable, Codable {
         downloadedFileURL: URL? = nil,
         errorMessage: String? = nil,
         fileName: String? = nil,
-        format: YTDLPConfig.FormatOption? = nil
+        format: YTDLPConfig.FormatOption? = nil,
+        headers: [String]? = nil,
+        clipStart: Double? = nil,
+        clipEnd: Double? = nil,
+        isPlaylist: Bool? = nil,
+        playlistItems: String? = nil,
+        extras: YTDLPConfig.Extras? = nil,
+        outputTemplate: String? = nil
     ) {
         self.id = id
         self.url = url
@@ -34,6 +48,13 @@ struct DownloadItemModel: Identifiable, Equatable, Codable {
         self.errorMessage = errorMessage
         self.fileName = fileName
         self.format = format
+        self.headers = headers
+        self.clipStart = clipStart
+        self.clipEnd = clipEnd
+        self.isPlaylist = isPlaylist
+        self.playlistItems = playlistItems
+        self.extras = extras
+        self.outputTemplate = outputTemplate
     }
 
     static func == (lhs: DownloadItemModel, rhs: DownloadItemModel) -> Bool {
@@ -74,6 +74,41 @@ struct YTDLPConfig: Equatable, Codable {
         }
     }
 
+    /// Subtitles, thumbnail, metadata and chapters requested by the extension
+    struct Extras: Equatable, Codable {
+        /// nil skips subtitles; an empty list downloads them in any language
+        var subtitleLanguages: [String]?
+        var embedThumbnail: Bool = false
+        var writeMetadata: Bool = false
+        var embedChapters: Bool = false
+
+        var isEmpty: Bool {
+            subtitleLanguages == nil && !embedThumbnail && !writeMetadata && !embedChapters
+        }
+
+        /// yt-dlp arguments for the requested extras
+        var arguments: [String] {
+            var arguments: [String] = []
+            if let subtitleLanguages = subtitleLanguages {
+                arguments.append(contentsOf: ["--write-subs", "--write-auto-subs"])
+                if !subtitleLanguages.isEmpty {
+                    arguments.append("--sub-langs")
+                    arguments.append(subtitleLanguages.joined(separator: ","))
+                }
+            }
+            if embedThumbnail {
+                arguments.append("--embed-thumbnail")
+            }
+            if writeMetadata {
+                arguments.append(contentsOf: ["--embed-metadata", "--write-description"])
+            }
+            if embedChapters {
+                arguments.append("--embed-chapters")
+            }
+            return arguments
+        }
+    }
+
     init(format: FormatOption = .best, isPlaylist: Bool = false, outputFolder: URL = FileManager.default.urls(for: .downloadsDirectory, in: .userDomainMask)[0]) {
         self.format = format
         self.isPlaylist = isPlaylist
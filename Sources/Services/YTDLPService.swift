@@ -155,6 +155,12 @@ actor YTDLPService {
         id: UUID,
         url: String,
         config: YTDLPConfig,
+        headers: [String] = [],
+        clipStart: Double? = nil,
+        clipEnd: Double? = nil,
+        playlistItems: String? = nil,
+        extras: YTDLPConfig.Extras? = nil,
+        outputTemplate: String? = nil,
         progressHandler: @escaping (Double, String) -> Void,
         statusHandler: @escaping (DownloadStatus) -> Void,
         fileNameHandler: @escaping (String) -> Void,
@@ -190,6 +196,10 @@ actor YTDLPService {
 
         if config.isPlaylist {
             arguments.removeAll { $0 == "--no-playlist" }
+            if let playlistItems = playlistItems {
+                arguments.append("--playlist-items")
+                arguments.append(playlistItems)
+            }
         }
         
         // Help yt-dlp find ffmpeg for merging video+audio streams
@@ -211,8 +221,28 @@ actor YTDLPService {
         // Add format-specific arguments (e.g., audio extraction)
         arguments.append(contentsOf: config.format.additionalArguments)
 
+        // Headers some CDNs require for stream URLs captured by the extension
+        for header in headers {
+            arguments.append("--add-header")
+            arguments.append(header)
+        }
+
+        // Only download the range marked in the extension's clip mode
+        if clipStart != nil || clipEnd != nil {
+            let start = clipStart.map { String($0) } ?? "0"
+            let end = clipEnd.map { String($0) } ?? "inf"
+            arguments.append("--download-sections")
+            arguments.append("*\(start)-\(end)")
+        }
+
+        // Subtitles, thumbnail, metadata and chapters picked in the extension
+        if let extras = extras {
+            arguments.append(contentsOf: extras.arguments)
+        }
+
+        // The extension's filename template may add folders inside the output folder
         arguments.append("--output")
-        arguments.append("\(config.outputFolder.path)/%(title)s.%(ext)s")
+        arguments.append("\(config.outputFolder.path)/\(outputTemplate ?? "%(title)s").%(ext)s")
 
         arguments.append(url)
 
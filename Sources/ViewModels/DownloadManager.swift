@@ -18,6 +18,19 @@ class DownloadManager: ObservableObject {
 
     private var ytDLPService = YTDLPService.shared
     private var activeTaskIds: Set<UUID> = []
+    /// Extras the extension sent along with a URL, applied when it is queued
+    private var extensionOptions: [String: ExtensionOptions] = [:]
+
+    private struct ExtensionOptions {
+        var format: YTDLPConfig.FormatOption?
+        var headers: [String] = []
+        var clipStart: Double?
+        var clipEnd: Double?
+        var isPlaylist: Bool?
+        var playlistItems: String?
+        var extras: YTDLPConfig.Extras?
+        var outputTemplate: String?
+    }
     private var cancellables = Set<AnyCancellable>()
     
     // Queue settings
@@ -221,8 +234,30 @@ class DownloadManager: ObservableObject {
     }
     
     /// Sets the URL input from an external source (e.g., Chrome extension via URL scheme)
-    func setURLFromExtension(_ urlString: String) {
+    func setURLFromExtension(
+        _ urlString: String,
+        format: YTDLPConfig.FormatOption? = nil,
+        headers: [String] = [],
+        clipStart: Double? = nil,
+        clipEnd: Double? = nil,
+        isPlaylist: Bool? = nil,
+        playlistItems: String? = nil,
+        extras: YTDLPConfig.Extras? = nil,
+        outputTemplate: String? = nil
+    ) {
         urlInput = urlString
+        if format != nil || !headers.isEmpty || clipStart != nil || clipEnd != nil || isPlaylist != nil || extras != nil || outputTemplate != nil {
+            extensionOptions[urlString] = ExtensionOptions(
+                format: format,
+                headers: headers,
+                clipStart: clipStart,
+                clipEnd: clipEnd,
+                isPlaylist: isPlaylist,
+                playlistItems: playlistItems,
+                extras: extras,
+                outputTemplate: outputTemplate
+            )
+        }
     }
     
     func setFormat(_ format: YTDLPConfig.FormatOption) {
@@ -246,12 +281,21 @@ class DownloadManager: ObservableObject {
         urlInput = ""
         
         let taskId = UUID()
+        let options = extensionOptions.removeValue(forKey: url)
         let downloadItem = DownloadItemModel(
             id: taskId,
             url: url,
             outputFolder: config.outputFolder,
             status: .queued,
-            format: config.format
+            // A format picked in the extension applies to this download only
+            format: options?.format ?? config.format,
+            headers: options?.headers,
+            clipStart: options?.clipStart,
+            clipEnd: options?.clipEnd,
+            isPlaylist: options?.isPlaylist,
+            playlistItems: options?.playlistItems,
+            extras: options?.extras,
+            outputTemplate: options?.outputTemplate
         )
 
         downloads.insert(downloadItem, at: 0)
@@ -293,12 +337,19 @@ class DownloadManager: ObservableObject {
                 // Create config with the item's saved format
                 var itemConfig = config
                 itemConfig.format = item.format ?? config.format
+                itemConfig.isPlaylist = item.isPlaylist ?? config.isPlaylist
                 itemConfig.outputFolder = item.outputFolder
                 
                 try await ytDLPService.runDownload(
                     id: item.id,
                     url: item.url,
-                    config: itemConfig
+                    config: itemConfig,
+                    headers: item.headers ?? [],
+                    clipStart: item.clipStart,
+                    clipEnd: item.clipEnd,
+                    playlistItems: item.playlistItems,
+                    extras: item.extras,
+                    outputTemplate: item.outputTemplate
                 ) { [weak self] progress, statusText in
                     Task { @MainActor in
                         self?.updateProgress(id: item.id, progress: progress, status: .downloading)
@@ -1,13 +1,106 @@
 // VidPull Chrome Extension - Background Service Worker
 
+// Firefox has no service workers for extensions and loads these (and this
+// file) as background scripts instead; build.js lists them from here
+if (typeof importScripts === 'function') {
+  importScripts(
+    'browser-api.js',
+    'resolvers/registry.js',
+    'resolvers/youtube.js',
+    'resolvers/vimeo.js',
+    'resolvers/dailymotion.js',
+    'resolvers/twitch.js',
+    'resolvers/facebook.js',
+    'resolvers/twitter.js',
+    'resolvers/reddit.js',
+    'resolvers/instagram.js',
+    'resolvers/tiktok.js',
+    'resolvers/bluesky.js',
+    'resolvers/mastodon.js',
+    'resolvers/streamable.js',
+    'resolvers/loom.js',
+    'resolvers/soundcloud.js',
+    'resolvers/bandcamp.js',
+    'resolvers/spotify.js',
+    'shared.js',
+    'settings.js'
+  );
+}
+
+const {
+  FORMATS,
+  AUDIO_FORMAT,
+  STORAGE_KEY_HISTORY,
+  STORAGE_KEY_SENT_INDEX,
+  SESSION_KEY_POPUP_VIEW,
+  cleanVideoUrl,
+  isDownloadableUrl,
+  isAudioUrl,
+  buildDeepLink,
+  normalizeExtras,
+  buildYtDlpCommand,
+  renderBodyTemplate,
+  getTemplateValues,
+  getSiteKey,
+  getSiteRule,
+  shouldShareCookies,
+  normalizeMetadata,
+  buildOutputTemplate
+} = VidPullShared;
+const { getVideoKey, getStartTime, getResolverForUrl } = VidPullResolvers;
+const { webRequestOptions, getPortError } = VidPullBrowser;
+
+const MENU_ROOT_ID = 'vidpull-download';
+const MENU_SITE_DEFAULT_ID = 'vidpull-download-default';
+const MENU_FORMAT_PREFIX = 'vidpull-format-';
+const MENU_CONTEXTS = ['link', 'video', 'audio', 'page'];
+
+// Native messaging host registered by the VidPull app (see native-host/README.md)
+const NATIVE_HOST_NAME = 'com.vidpull.app';
+const NATIVE_REQUEST_TIMEOUT_MS = 10000;
+const PROGRESS_BROADCAST_INTERVAL_MS = 250;
+const ACTIVE_JOB_STATES = ['queued', 'downloading'];
+
+// Most recent dispatches kept in storage.local for the popup
+const HISTORY_LIMIT = 100;
+// Videos remembered as sent; the oldest are forgotten past this
+const SENT_INDEX_LIMIT = 2000;
+
+// The app's URL scheme takes one URL at a time, so space out batch fallbacks
+const BATCH_DEEP_LINK_DELAY_MS = 1000;
+
+const HTTP_TARGET_TIMEOUT_MS = 10000;
+
+// Jobs the app is working on, keyed by jobId
+const activeJobs = new Map();
+const lastProgressBroadcast = new Map();
+
 // Handle keyboard shortcut command
-chrome.commands.onCommand.addListener((command) => {
+browser.commands.onCommand.addListener((command) => {
+  if (command === 'grab-all') {
+    // The popup checks this flag on load and opens straight into the batch list
+    browser.storage.session.set({ [SESSION_KEY_POPUP_VIEW]: 'batch' }).then(() => {
+      return browser.action.openPopup();
+    }).catch((error) => {
+      console.warn('[VidPull] Could not open batch popup:', error.message);
+    });
+  }
+  if (command === 'download-video' || command === 'cycle-video') {
+    // The top frame's script tracks the videos of same-origin frames and
+    // recognized embeds too, so only it gets these
+    browser.tabs.query({ active: true, currentWindow: true }).then(([tab]) => {
+      if (!tab?.id) return;
+      browser.tabs.sendMessage(tab.id, { action: command }, { frameId: 0 }).catch(() => {
+        // No content script in this tab
+      });
+    });
+  }
   if (command === 'toggle-overlay') {
     // Send message to all tabs to toggle overlay
-    chrome.tabs.query({}, (tabs) => {
+    browser.tabs.query({}).then((tabs) => {
       tabs.forEach(tab => {
         if (tab.id) {
-          chrome.tabs.sendMessage(tab.id, { action: 'toggle-overlay' }).catch(() => {
+          browser.tabs.sendMessage(tab.id, { action: 'toggle-overlay' }).catch(() => {
             // Ignore errors for tabs where content script isn't loaded
           });
         }
@@ -16,12 +109,908 @@ chrome.commands.onCommand.addListener((command) => {
   }
 });
 
-// Initialize default settings on install
-chrome.runtime.onInstalled.addListener((details) => {
-  if (details.reason === 'install') {
-    chrome.storage.sync.set({
-      overlaysVisible: true,
-      extensionEnabled: true
+// Stamp new installs with the settings version and upgrade settings stored
+// by older versions; anything not stored reads as its default
+browser.runtime.onInstalled.addListener(() => {
+  VidPullSettings.migrate().catch((error) => {
+    console.warn('[VidPull] Could not migrate settings:', error);
+  });
+  createContextMenus();
+});
+
+/**
+ * Register the "Download with VidPull" context menu and its format submenu
+ */
+function createContextMenus() {
+  browser.contextMenus.removeAll().then(() => {
+    browser.contextMenus.create({
+      id: MENU_ROOT_ID,
+      title: 'Download with VidPull',
+      contexts: MENU_CONTEXTS
     });
+    browser.contextMenus.create({
+      id: MENU_SITE_DEFAULT_ID,
+      parentId: MENU_ROOT_ID,
+      title: 'Download',
+      contexts: MENU_CONTEXTS
+    });
+    browser.contextMenus.create({
+      id: 'vidpull-separator',
+      parentId: MENU_ROOT_ID,
+      type: 'separator',
+      contexts: MENU_CONTEXTS
+    });
+    FORMATS.forEach(({ id, label }) => {
+      browser.contextMenus.create({
+        id: `${MENU_FORMAT_PREFIX}${id}`,
+        parentId: MENU_ROOT_ID,
+        title: `Download as ${label}`,
+        contexts: MENU_CONTEXTS
+      });
+    });
+  });
+}
+
+browser.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (!tab?.id) return;
+
+  const isSiteDefault = info.menuItemId === MENU_SITE_DEFAULT_ID;
+  if (!isSiteDefault && !String(info.menuItemId).startsWith(MENU_FORMAT_PREFIX)) return;
+
+  const url = await resolveContextUrl(info, tab);
+  if (!url) return;
+
+  // "Download" sends audio players and audio links as audio only
+  let format = String(info.menuItemId).slice(MENU_FORMAT_PREFIX.length);
+  if (isSiteDefault) {
+    format = info.mediaType === 'audio' || isAudioUrl(url)
+      ? AUDIO_FORMAT
+      : await getSiteFormat(tab.url || info.pageUrl);
+  }
+
+  // A link that starts part-way in (YouTube's t=) sends from there
+  const start = info.linkUrl ? getStartTime(info.linkUrl) : null;
+  const result = await sendFromBackground({
+    url,
+    format,
+    title: tab.title,
+    pageUrl: info.pageUrl,
+    clip: start ? { start, end: null } : null
+  }, tab.id);
+  if (result.command) {
+    copyInTab(tab.id, result.command);
+  }
+});
+
+/**
+ * Dispatch a download that didn't come from a content script, opening the
+ * vidpull:// link in the given tab if the native host isn't available
+ */
+async function sendFromBackground(request, tabId) {
+  // Context menu and batch sends get the site's default extras; re-sends
+  // carry their own, null included
+  if (request.extras === undefined) {
+    request = { ...request, extras: await getSiteExtras(request.pageUrl || request.url) };
+  }
+  const result = await dispatchDownload(request);
+  if (result.fallback && tabId) {
+    openDeepLink(tabId, buildDeepLink(request.url, request.format, { ...request, output: result.output }));
+  }
+  return result;
+}
+
+/**
+ * Videos found in every frame of a tab, for the popup's batch list
+ * Frames answer for themselves (the top page covers its same-origin frames and
+ * embed players), so results only need merging
+ */
+async function collectTabVideos(tabId) {
+  const frames = await browser.webNavigation.getAllFrames({ tabId }).catch(() => null) || [{ frameId: 0 }];
+  const responses = await Promise.all(frames.map(frame =>
+    browser.tabs.sendMessage(tabId, { action: 'collect-videos' }, { frameId: frame.frameId }).catch(() => null)
+  ));
+
+  const seen = new Set();
+  return responses.flatMap(response => response?.videos || []).filter((video) => {
+    if (seen.has(video.url)) return false;
+    seen.add(video.url);
+    return true;
+  });
+}
+
+/**
+ * Send several videos picked in the popup's batch list. Commands for the
+ * copy-command target come back one per line for the popup to copy.
+ */
+async function dispatchBatch(videos, format, tabId, pageUrl) {
+  const summary = { sent: 0, failed: 0, fallback: false };
+  const commands = [];
+
+  for (const video of videos) {
+    const result = await sendFromBackground({
+      url: video.url,
+      // Audio players, audio embeds and episodes download as audio only
+      format: video.audio ? AUDIO_FORMAT : format,
+      title: video.title,
+      pageUrl,
+      clip: video.start ? { start: video.start, end: null } : null,
+      metadata: video.metadata
+    }, tabId);
+    if (result.ok || result.fallback) {
+      summary.sent++;
+    } else {
+      summary.failed++;
+    }
+    if (result.command) {
+      commands.push(result.command);
+    }
+    if (result.fallback) {
+      summary.fallback = true;
+      await new Promise(resolve => setTimeout(resolve, BATCH_DEEP_LINK_DELAY_MS));
+    }
+  }
+
+  if (commands.length > 0) {
+    summary.command = commands.join('\n');
+  }
+  return summary;
+}
+
+/**
+ * Work out which URL a context menu click refers to
+ */
+async function resolveContextUrl(info, tab) {
+  if (info.linkUrl) {
+    return cleanVideoUrl(info.linkUrl);
+  }
+
+  if (info.mediaType === 'video' || info.mediaType === 'audio') {
+    // Let the content script resolve the right-clicked <video> or <audio> the same way
+    // the overlay button does (permalinks, og:video, ...)
+    try {
+      const response = await browser.tabs.sendMessage(
+        tab.id,
+        { action: 'resolve-context-target' },
+        { frameId: info.frameId }
+      );
+      if (response?.url) {
+        return cleanVideoUrl(response.url);
+      }
+    } catch (e) {
+      // Content script not available in this frame
+    }
+    if (isDownloadableUrl(info.srcUrl)) {
+      return cleanVideoUrl(info.srcUrl);
+    }
+  }
+
+  return info.pageUrl ? cleanVideoUrl(info.pageUrl) : null;
+}
+
+async function getSiteFormat(pageUrl) {
+  const { siteRules } = await VidPullSettings.load();
+  return getSiteRule(siteRules, getSiteKey(pageUrl)).format || null;
+}
+
+/**
+ * The site's default extras. Subtitle languages left to the page stay empty
+ * here, as only the content script can see the page's tracks.
+ */
+async function getSiteExtras(pageUrl) {
+  const { siteRules } = await VidPullSettings.load();
+  return getSiteRule(siteRules, getSiteKey(pageUrl)).extras || null;
+}
+
+/**
+ * Put text on the clipboard from the given tab's top frame; the service
+ * worker has no clipboard of its own
+ */
+function copyInTab(tabId, text) {
+  browser.tabs.sendMessage(tabId, { action: 'copy-text', text }, { frameId: 0 }).catch(() => {
+    console.warn('[VidPull] No page to copy the yt-dlp command from:', text);
+  });
+}
+
+/**
+ * Hand a vidpull:// link to the app from the given tab
+ */
+function openDeepLink(tabId, deepLink) {
+  // Only the top frame, or every frame of the tab would open the link
+  browser.tabs.sendMessage(tabId, { action: 'open-deeplink', url: deepLink }, { frameId: 0 }).catch(() => {
+    // No content script in this tab, navigate it directly
+    browser.tabs.update(tabId, { url: deepLink });
+  });
+}
+
+
+// Messages from content scripts and the popup
+browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'download') {
+    dispatchDownload({
+      url: message.url,
+      format: message.format,
+      title: message.title,
+      pageUrl: sender.tab?.url,
+      headers: message.headers,
+      clip: message.clip,
+      playlist: message.playlist,
+      items: message.items,
+      extras: message.extras,
+      metadata: message.metadata,
+      target: message.target
+    })
+      .then(sendResponse)
+      // Answer even when the request can't be built, so the content script
+      // doesn't take the URL scheme fallback for a download that failed
+      .catch((error) => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+  if (message.action === 'get-captured-streams') {
+    getRankedStreams(sender.tab?.id, sender.frameId).then((streams) => sendResponse({ streams }));
+    return true;
+  }
+  if (message.action === 'resend-download') {
+    sendFromBackground(message.request, message.tabId)
+      .then(sendResponse)
+      .catch((error) => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+  if (message.action === 'dispatch-batch') {
+    dispatchBatch(message.videos, message.format, message.tabId, message.pageUrl)
+      .then(sendResponse)
+      .catch((error) => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+  if (message.action === 'collect-tab-videos') {
+    collectTabVideos(message.tabId).then((videos) => sendResponse({ videos }));
+    return true;
+  }
+  if (message.action === 'remove-history') {
+    updateHistory(history => history.filter(entry => entry.id !== message.id)).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  if (message.action === 'clear-sent-index') {
+    updateSentIndex(() => ({})).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  if (message.action === 'get-active-jobs') {
+    sendResponse({ jobs: Array.from(activeJobs.values()) });
+    return;
+  }
+  if (message.action === 'download-status') {
+    sendNativeRequest('status', message.jobId ? { jobId: message.jobId } : {})
+      .then((response) => sendResponse({ ok: true, jobs: response.jobs }))
+      .catch((error) => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+  if (message.action === 'download-cancel') {
+    sendNativeRequest('cancel', { jobId: message.jobId })
+      .then((response) => {
+        if (response.job) {
+          updateJob(response.job);
+        }
+        sendResponse({ ok: true, job: response.job });
+      })
+      .catch((error) => sendResponse({ ok: false, error: error.message }));
+    return true;
   }
 });
+
+/**
+ * Send a download to the target chosen for it, the site or everywhere, and
+ * record it in the history
+ * Resolves with { fallback: true } when the app target has no native host so
+ * the caller can use the vidpull:// URL scheme instead, and with { command }
+ * for the caller to copy when the target is the yt-dlp command
+ */
+async function dispatchDownload(request) {
+  const { url, format, title, pageUrl, headers, clip, playlist, items } = request;
+  const settings = await VidPullSettings.load();
+  const target = request.target ||
+    getSiteRule(settings.siteRules, getSiteKey(pageUrl || url)).target ||
+    settings.sendTarget;
+  const extras = normalizeExtras(request.extras);
+  // Playlists are named by yt-dlp per item, so only single videos are renamed
+  const metadata = normalizeMetadata(request.metadata);
+  const site = getResolverForUrl(url)?.id || getSiteKey(url);
+  const output = playlist ? null : buildOutputTemplate(settings.filenameTemplate, metadata, site);
+
+  const send = SEND_TARGET_HANDLERS[target] || SEND_TARGET_HANDLERS.app;
+  const result = await send({ ...request, extras, metadata, output }, settings);
+
+  await recordHistory({
+    id: crypto.randomUUID(),
+    url,
+    title: title || url,
+    site: getSiteKey(url),
+    pageUrl: pageUrl || null,
+    format: format || null,
+    headers: headers || null,
+    clip: clip || null,
+    playlist: !!playlist,
+    items: items || null,
+    extras,
+    metadata,
+    target,
+    cookiesShared: !!result.cookiesShared,
+    timestamp: Date.now(),
+    jobId: result.job?.jobId || null,
+    status: result.job ? result.job.state : (result.status || (result.fallback ? 'sent' : 'failed')),
+    error: result.error || null
+  });
+  // A copied command may never be run, so only handed-off downloads count as sent
+  if (target !== 'command' && (result.ok || result.fallback)) {
+    await recordSent(url, title);
+  }
+
+  if (result.job) {
+    updateJob(result.job);
+  }
+  // The caller needs it for the vidpull:// link when the app can't be reached
+  return result.fallback ? { ...result, output } : result;
+}
+
+// MARK: - Send targets
+//
+// Each target takes a download request and the settings and resolves to
+// { ok, job?, fallback?, status?, message?, command?, cookiesShared?, error? }
+
+const SEND_TARGET_HANDLERS = {
+  app: sendToApp,
+  http: sendToHttpServer,
+  command: sendAsCommand
+};
+
+/**
+ * Enqueue with the VidPull app over native messaging
+ */
+async function sendToApp({ url, format, headers, clip, playlist, items, extras, metadata, output }) {
+  const cookies = await getSharedCookies(url);
+  try {
+    const response = await sendNativeRequest('enqueue', {
+      url,
+      format: format || undefined,
+      headers: headers || undefined,
+      start: clip?.start ?? undefined,
+      end: clip?.end ?? undefined,
+      playlist: playlist || undefined,
+      items: items || undefined,
+      extras: extras || undefined,
+      metadata: metadata || undefined,
+      output: output || undefined,
+      cookies: cookies || undefined
+    });
+    return { ok: true, job: response.job, cookiesShared: !!cookies };
+  } catch (error) {
+    if (error instanceof NativeHostUnavailableError) {
+      console.log('[VidPull] Native host unavailable, falling back to vidpull:// link:', error.message);
+      return { ok: false, fallback: true };
+    }
+    // The app may still be adding it, so the vidpull:// link would send it twice
+    if (error instanceof NativeHostTimeoutError) {
+      console.warn('[VidPull] Native host did not answer in time:', error.message);
+      return { ok: false, error: 'The VidPull app did not answer in time. Check its queue before sending again.' };
+    }
+    console.warn('[VidPull] Native host rejected download:', error.message);
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * POST the download to a yt-dlp HTTP server (MeTube or anything taking
+ * JSON). Login cookies are never sent to it.
+ */
+async function sendToHttpServer(request, { httpTarget }) {
+  if (!httpTarget.url) {
+    return { ok: false, error: 'Set up a yt-dlp server in the VidPull options first' };
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (httpTarget.authHeader) {
+    const separator = httpTarget.authHeader.indexOf(':');
+    headers[httpTarget.authHeader.slice(0, separator).trim()] = httpTarget.authHeader.slice(separator + 1).trim();
+  }
+
+  let server;
+  try {
+    server = new URL(httpTarget.url).host;
+    const body = renderBodyTemplate(httpTarget.bodyTemplate, getTemplateValues(request));
+    const response = await fetch(httpTarget.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      credentials: 'omit',
+      signal: AbortSignal.timeout(HTTP_TARGET_TIMEOUT_MS)
+    });
+    // MeTube answers 200 with { status: 'error', msg } for downloads it rejects
+    const reply = await response.json().catch(() => null);
+    if (!response.ok || reply?.status === 'error') {
+      const reason = reply?.msg || reply?.error || `${response.status} ${response.statusText}`.trim();
+      return { ok: false, error: `${server}: ${reason}` };
+    }
+    return { ok: true, status: 'sent', message: `Sent to ${server}` };
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? 'no answer' : error.message;
+    console.warn('[VidPull] yt-dlp server request failed:', reason);
+    return { ok: false, error: server ? `${server}: ${reason}` : reason };
+  }
+}
+
+/**
+ * The yt-dlp command for the download, for the caller to copy
+ */
+async function sendAsCommand({ url, format, ...options }) {
+  return { ok: true, status: 'copied', command: buildYtDlpCommand(url, format, options) };
+}
+
+// MARK: - Cookie sharing
+
+/**
+ * Login cookies for a download, in Netscape cookies.txt format, when the user
+ * opted in for the URL's site. Only cookies the browser would send to that URL
+ * are included, and they go straight to the app without being stored. The
+ * vidpull:// link never carries them.
+ */
+async function getSharedCookies(url) {
+  try {
+    const { siteRules } = await VidPullSettings.load();
+    if (!shouldShareCookies(siteRules, getSiteKey(url))) return null;
+
+    const cookies = await browser.cookies.getAll({ url });
+    return cookies.length > 0 ? toNetscapeCookies(cookies) : null;
+  } catch (error) {
+    console.warn('[VidPull] Could not read cookies:', error);
+    return null;
+  }
+}
+
+function toNetscapeCookies(cookies) {
+  const lines = cookies.map((cookie) => {
+    // Host-only cookies must not be sent to subdomains
+    const domain = cookie.hostOnly ? cookie.domain.replace(/^\./, '') : `.${cookie.domain.replace(/^\./, '')}`;
+    return [
+      `${cookie.httpOnly ? '#HttpOnly_' : ''}${domain}`,
+      cookie.hostOnly ? 'FALSE' : 'TRUE',
+      cookie.path,
+      cookie.secure ? 'TRUE' : 'FALSE',
+      cookie.session ? 0 : Math.floor(cookie.expirationDate || 0),
+      cookie.name,
+      cookie.value
+    ].join('\t');
+  });
+  return ['# Netscape HTTP Cookie File', ...lines, ''].join('\n');
+}
+
+// MARK: - Stream capture
+//
+// Players built on MediaSource only expose a blob: URL, so remember the
+// manifests and media files each tab requests and offer those instead
+
+const STREAM_REQUEST_TYPES = ['media', 'xmlhttprequest', 'other'];
+const STREAMS_PER_TAB_LIMIT = 50;
+// Smaller video/audio responses are usually segments or previews
+const PROGRESSIVE_MIN_BYTES = 5 * 1024 * 1024;
+// Request headers the app needs to replay to fetch the stream
+const FORWARDED_HEADERS = ['referer', 'origin', 'user-agent'];
+const SESSION_KEY_CAPTURED_STREAMS = 'vidpullCapturedStreams';
+const CAPTURE_PERSIST_DELAY_MS = 1000;
+
+// { [tabId]: [{ url, kind, frameId, headers, timestamp }] }, newest first
+let capturedStreams = {};
+let capturedStreamsLoaded = null;
+let capturePersistTimer = null;
+// Headers seen in onSendHeaders, keyed by requestId until the response arrives
+const pendingStreamHeaders = new Map();
+// Parsed manifest details, keyed by URL
+const manifestInfoCache = new Map();
+
+function loadCapturedStreams() {
+  if (!capturedStreamsLoaded) {
+    // The service worker may have been restarted since the page loaded
+    capturedStreamsLoaded = browser.storage.session.get(SESSION_KEY_CAPTURED_STREAMS).then((result) => {
+      capturedStreams = { ...result[SESSION_KEY_CAPTURED_STREAMS], ...capturedStreams };
+    }).catch(() => {});
+  }
+  return capturedStreamsLoaded;
+}
+
+function persistCapturedStreams() {
+  clearTimeout(capturePersistTimer);
+  capturePersistTimer = setTimeout(() => {
+    browser.storage.session.set({ [SESSION_KEY_CAPTURED_STREAMS]: capturedStreams }).catch(() => {});
+  }, CAPTURE_PERSIST_DELAY_MS);
+}
+
+/**
+ * Work out whether a response is a stream worth offering
+ * @returns {string|null} 'hls', 'dash', 'progressive' or null
+ */
+function classifyStream(details) {
+  const contentType = getResponseHeader(details, 'content-type').toLowerCase();
+  let path = '';
+  try {
+    path = new URL(details.url).pathname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+
+  if (path.endsWith('.m3u8') || contentType.includes('mpegurl')) return 'hls';
+  if (path.endsWith('.mpd') || contentType.includes('dash+xml')) return 'dash';
+
+  const isMedia = details.type === 'media' || /^(video|audio)\//.test(contentType);
+  if (!isMedia || contentType.includes('mp2t') || path.endsWith('.ts') || path.endsWith('.m4s')) return null;
+  // Range requests report the full size in Content-Range
+  const range = getResponseHeader(details, 'content-range').match(/\/(\d+)$/);
+  const size = Number(range ? range[1] : getResponseHeader(details, 'content-length'));
+  return size >= PROGRESSIVE_MIN_BYTES ? 'progressive' : null;
+}
+
+function getResponseHeader(details, name) {
+  return details.responseHeaders?.find(header => header.name.toLowerCase() === name)?.value || '';
+}
+
+async function recordStream(details, kind) {
+  await loadCapturedStreams();
+
+  const headers = pendingStreamHeaders.get(details.requestId) || {};
+  pendingStreamHeaders.delete(details.requestId);
+  if (!headers.Referer && details.initiator && details.initiator !== 'null') {
+    headers.Referer = `${details.initiator}/`;
+  }
+
+  const streams = (capturedStreams[details.tabId] || []).filter(stream => stream.url !== details.url);
+  streams.unshift({ url: details.url, kind, frameId: details.frameId, headers, timestamp: Date.now() });
+  capturedStreams[details.tabId] = streams.slice(0, STREAMS_PER_TAB_LIMIT);
+  persistCapturedStreams();
+}
+
+browser.webRequest.onSendHeaders.addListener((details) => {
+  if (details.tabId < 0) return;
+  const headers = {};
+  details.requestHeaders?.forEach((header) => {
+    if (FORWARDED_HEADERS.includes(header.name.toLowerCase())) {
+      headers[header.name.replace(/(^|-)\w/g, c => c.toUpperCase())] = header.value;
+    }
+  });
+  pendingStreamHeaders.set(details.requestId, headers);
+}, { urls: ['<all_urls>'], types: STREAM_REQUEST_TYPES }, webRequestOptions('requestHeaders', 'extraHeaders'));
+
+browser.webRequest.onHeadersReceived.addListener((details) => {
+  if (details.tabId < 0) return;
+  const kind = classifyStream(details);
+  if (kind) {
+    recordStream(details, kind);
+  } else {
+    pendingStreamHeaders.delete(details.requestId);
+  }
+}, { urls: ['<all_urls>'], types: STREAM_REQUEST_TYPES }, ['responseHeaders']);
+
+browser.webRequest.onErrorOccurred.addListener((details) => {
+  pendingStreamHeaders.delete(details.requestId);
+}, { urls: ['<all_urls>'], types: STREAM_REQUEST_TYPES });
+
+// A new page in the tab starts a fresh list
+browser.webRequest.onBeforeRequest.addListener((details) => {
+  if (details.tabId >= 0) {
+    forgetCapturedStreams(details.tabId);
+  }
+}, { urls: ['<all_urls>'], types: ['main_frame'] });
+
+browser.tabs.onRemoved.addListener(forgetCapturedStreams);
+
+function forgetCapturedStreams(tabId) {
+  loadCapturedStreams().then(() => {
+    if (!capturedStreams[tabId]) return;
+    delete capturedStreams[tabId];
+    persistCapturedStreams();
+  });
+}
+
+/**
+ * Captured streams for a tab, best guess first, with labels for the picker
+ * Streams from the asking frame rank ahead of those from other frames
+ */
+async function getRankedStreams(tabId, frameId) {
+  if (tabId === undefined) return [];
+  await loadCapturedStreams();
+
+  const streams = capturedStreams[tabId] || [];
+  const infos = await Promise.all(streams.map(stream => getManifestInfo(stream)));
+  const entries = streams.map((stream, index) => ({ ...stream, ...infos[index], recency: index }));
+
+  // Variant playlists a master playlist already lists would just be duplicates
+  const variantUrls = new Set(entries.flatMap(entry => entry.variants || []));
+  const kindOrder = { hls: 0, dash: 1, progressive: 2 };
+
+  return entries
+    .filter(entry => !variantUrls.has(entry.url))
+    .sort((a, b) =>
+      (b.frameId === frameId) - (a.frameId === frameId) ||
+      (b.height || 0) - (a.height || 0) ||
+      (b.bandwidth || 0) - (a.bandwidth || 0) ||
+      kindOrder[a.kind] - kindOrder[b.kind] ||
+      a.recency - b.recency
+    )
+    .map(entry => ({
+      url: entry.url,
+      kind: entry.kind,
+      headers: entry.headers,
+      height: entry.height || null,
+      bandwidth: entry.bandwidth || null,
+      label: formatStreamLabel(entry)
+    }));
+}
+
+function formatStreamLabel({ kind, height, bandwidth }) {
+  const parts = [];
+  if (height) parts.push(`${height}p`);
+  parts.push(kind === 'progressive' ? 'File' : kind.toUpperCase());
+  if (bandwidth) parts.push(`${(bandwidth / 1e6).toFixed(1)} Mbps`);
+  return parts.join(' · ');
+}
+
+/**
+ * Fetch and parse a manifest for its best resolution and bitrate. fetch()
+ * can't set a Referer, so manifests that check it come back without details
+ * (the download itself still gets the captured headers).
+ * @returns {Promise<{height?: number, bandwidth?: number, variants?: string[]}>}
+ */
+function getManifestInfo(stream) {
+  if (stream.kind === 'progressive') return Promise.resolve({});
+  if (!manifestInfoCache.has(stream.url)) {
+    const info = fetch(stream.url, { credentials: 'include' })
+      .then(response => response.ok ? response.text() : '')
+      .then(text => stream.kind === 'hls' ? parseHlsManifest(text, stream.url) : parseDashManifest(text))
+      .catch(() => ({}));
+    manifestInfoCache.set(stream.url, info);
+  }
+  return manifestInfoCache.get(stream.url);
+}
+
+function parseHlsManifest(text, baseUrl) {
+  const info = { variants: [] };
+  const lines = text.split(/\r?\n/);
+  lines.forEach((line, index) => {
+    if (!line.startsWith('#EXT-X-STREAM-INF:')) return;
+    const bandwidth = Number(line.match(/[:,]BANDWIDTH=(\d+)/)?.[1] || 0);
+    const height = Number(line.match(/RESOLUTION=\d+x(\d+)/)?.[1] || 0);
+    if (height > (info.height || 0) || (height === (info.height || 0) && bandwidth > (info.bandwidth || 0))) {
+      info.height = height || undefined;
+      info.bandwidth = bandwidth || undefined;
+    }
+    const uri = lines.slice(index + 1).find(next => next.trim() && !next.startsWith('#'));
+    if (uri) {
+      try {
+        info.variants.push(new URL(uri.trim(), baseUrl).href);
+      } catch (e) {
+        // Ignore malformed variant URIs
+      }
+    }
+  });
+  return info;
+}
+
+function parseDashManifest(text) {
+  const info = {};
+  const representations = text.match(/<Representation\b[^>]*>/g) || [];
+  representations.forEach((tag) => {
+    const height = Number(tag.match(/\sheight="(\d+)"/)?.[1] || 0);
+    const bandwidth = Number(tag.match(/\sbandwidth="(\d+)"/)?.[1] || 0);
+    if (height > (info.height || 0) || (height === (info.height || 0) && bandwidth > (info.bandwidth || 0))) {
+      info.height = height || undefined;
+      info.bandwidth = bandwidth || undefined;
+    }
+  });
+  return info;
+}
+
+// MARK: - Native messaging
+//
+// Requests:  { id, type: 'enqueue', url, format?, headers?, start?, end?, playlist?, items?, extras?, metadata?,
+//              output?, cookies? }
+//            { id, type: 'status', jobId? }
+//            { id, type: 'cancel', jobId }
+// Responses: { id, ok: true, job } / { id, ok: true, jobs } / { id, ok: false, error }
+// Events:    { type: 'progress', job: { jobId, url, state, percent?, error? } }
+
+class NativeHostUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NativeHostUnavailableError';
+  }
+}
+
+// The host is running but didn't answer a request in time
+class NativeHostTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NativeHostTimeoutError';
+  }
+}
+
+let nativePort = null;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+function getNativePort() {
+  if (nativePort) return nativePort;
+
+  const port = browser.runtime.connectNative(NATIVE_HOST_NAME);
+  port.onMessage.addListener(handleNativeMessage);
+  port.onDisconnect.addListener(() => {
+    const reason = getPortError(port) || 'Native host disconnected';
+    if (nativePort === port) {
+      nativePort = null;
+    }
+    pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new NativeHostUnavailableError(reason));
+    });
+    pendingRequests.clear();
+
+    // The app can no longer report on anything it was downloading
+    Array.from(activeJobs.values()).forEach(job => {
+      updateJob({ ...job, state: 'failed', error: 'Lost connection to the VidPull app' });
+    });
+  });
+
+  nativePort = port;
+  return port;
+}
+
+/**
+ * Send a request to the native host and wait for the matching response
+ */
+function sendNativeRequest(type, payload = {}) {
+  return new Promise((resolve, reject) => {
+    let port;
+    try {
+      port = getNativePort();
+    } catch (e) {
+      reject(new NativeHostUnavailableError(e.message));
+      return;
+    }
+
+    const id = nextRequestId++;
+    const timer = setTimeout(() => {
+      pendingRequests.delete(id);
+      reject(new NativeHostTimeoutError(`No response to "${type}" within ${NATIVE_REQUEST_TIMEOUT_MS}ms`));
+    }, NATIVE_REQUEST_TIMEOUT_MS);
+
+    pendingRequests.set(id, { resolve, reject, timer });
+    port.postMessage({ id, type, ...payload });
+  });
+}
+
+function handleNativeMessage(message) {
+  if (message?.type === 'progress' && message.job) {
+    updateJob(message.job);
+    return;
+  }
+
+  const pending = pendingRequests.get(message?.id);
+  if (!pending) return;
+
+  pendingRequests.delete(message.id);
+  clearTimeout(pending.timer);
+  if (message.ok) {
+    pending.resolve(message);
+  } else {
+    pending.reject(new Error(message.error || 'Native host request failed'));
+  }
+}
+
+// MARK: - Download progress
+
+/**
+ * Record a job update from the app and pass it on to overlays and the badge
+ */
+function updateJob(job) {
+  const previous = activeJobs.get(job.jobId);
+  const merged = { ...previous, ...job };
+
+  if (ACTIVE_JOB_STATES.includes(merged.state)) {
+    activeJobs.set(merged.jobId, merged);
+  } else {
+    activeJobs.delete(merged.jobId);
+  }
+
+  // Percent updates can arrive many times a second, state changes always go out
+  const now = Date.now();
+  const stateChanged = previous?.state !== merged.state;
+  if (stateChanged) {
+    updateHistoryForJob(merged);
+  }
+  if (stateChanged || now - (lastProgressBroadcast.get(merged.jobId) || 0) >= PROGRESS_BROADCAST_INTERVAL_MS) {
+    lastProgressBroadcast.set(merged.jobId, now);
+    broadcastJob(merged);
+  }
+  if (!activeJobs.has(merged.jobId)) {
+    lastProgressBroadcast.delete(merged.jobId);
+  }
+
+  updateBadge();
+}
+
+/**
+ * Send a job update to every tab; each content script applies it to the
+ * overlays whose URL matches
+ */
+function broadcastJob(job) {
+  browser.tabs.query({}).then((tabs) => {
+    tabs.forEach(tab => {
+      if (tab.id) {
+        browser.tabs.sendMessage(tab.id, { action: 'download-progress', job }).catch(() => {
+          // Ignore errors for tabs where content script isn't loaded
+        });
+      }
+    });
+  });
+}
+
+function updateBadge() {
+  const count = activeJobs.size;
+  browser.action.setBadgeBackgroundColor({ color: '#3b82f6' });
+  browser.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+}
+
+// MARK: - History
+
+let historyWriteQueue = Promise.resolve();
+
+/**
+ * Apply a change to the stored history; writes are serialized so progress
+ * events arriving together don't overwrite each other
+ */
+function updateHistory(mutate) {
+  historyWriteQueue = historyWriteQueue.then(async () => {
+    const result = await browser.storage.local.get(STORAGE_KEY_HISTORY);
+    const history = mutate(result[STORAGE_KEY_HISTORY] || []);
+    await browser.storage.local.set({ [STORAGE_KEY_HISTORY]: history.slice(0, HISTORY_LIMIT) });
+  }).catch((error) => {
+    console.warn('[VidPull] Failed to update history:', error);
+  });
+  return historyWriteQueue;
+}
+
+function recordHistory(entry) {
+  return updateHistory(history => [entry, ...history]);
+}
+
+function updateHistoryForJob(job) {
+  return updateHistory(history => history.map(entry =>
+    entry.jobId === job.jobId ? { ...entry, status: job.state, error: job.error || null } : entry
+  ));
+}
+
+// MARK: - Sent index
+
+let sentIndexWriteQueue = Promise.resolve();
+
+/**
+ * Apply a change to the index of sent videos, serialized like the history
+ */
+function updateSentIndex(mutate) {
+  sentIndexWriteQueue = sentIndexWriteQueue.then(async () => {
+    const result = await browser.storage.local.get(STORAGE_KEY_SENT_INDEX);
+    await browser.storage.local.set({ [STORAGE_KEY_SENT_INDEX]: mutate(result[STORAGE_KEY_SENT_INDEX] || {}) });
+  }).catch((error) => {
+    console.warn('[VidPull] Failed to update sent index:', error);
+  });
+  return sentIndexWriteQueue;
+}
+
+/**
+ * Remember a video as sent under its key, so every overlay showing it gets
+ * the "already sent" badge
+ */
+function recordSent(url, title) {
+  return updateSentIndex((index) => {
+    const entries = Object.entries({ ...index, [getVideoKey(url)]: { url, title: title || url, timestamp: Date.now() } });
+    if (entries.length <= SENT_INDEX_LIMIT) {
+      return Object.fromEntries(entries);
+    }
+    entries.sort((a, b) => b[1].timestamp - a[1].timestamp);
+    return Object.fromEntries(entries.slice(0, SENT_INDEX_LIMIT));
+  });
+}
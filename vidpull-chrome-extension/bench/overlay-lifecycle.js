@@ -0,0 +1,283 @@
+// VidPull Chrome Extension - Overlay Lifecycle Benchmark
+// Open overlay-lifecycle.html in Chrome (a file:// URL is fine) and press Run.
+
+(function() {
+  'use strict';
+
+  const BATCH_SIZE = 20;
+  // Posts kept above the viewport before the feed recycles them, like X/Reddit do
+  const KEEP_ABOVE = 40;
+  const SCROLL_STEP_PX = 60;
+
+  const feed = document.getElementById('feed');
+  const results = document.getElementById('results');
+  const runButton = document.getElementById('run');
+
+  let callbackTime = 0;
+  let observerCount = 0;
+
+  /**
+   * Wrap an observer callback so the time spent in it is counted
+   */
+  function timed(callback) {
+    return (...args) => {
+      const start = performance.now();
+      callback(...args);
+      callbackTime += performance.now() - start;
+    };
+  }
+
+  // MARK: - Strategies
+
+  /**
+   * How content.js used to do it: every overlay gets its own body-wide
+   * MutationObserver and its own ResizeObserver
+   */
+  function createLegacyStrategy() {
+    const observers = [];
+
+    const attach = (video) => {
+      const overlay = createOverlay(video);
+
+      const resizeObserver = new ResizeObserver(timed(() => placeOverlay(video, overlay)));
+      resizeObserver.observe(video);
+
+      const mutationObserver = new MutationObserver(timed(() => {
+        if (!document.contains(video)) {
+          overlay.remove();
+          resizeObserver.disconnect();
+          mutationObserver.disconnect();
+        }
+      }));
+      mutationObserver.observe(document.body, { childList: true, subtree: true });
+
+      observers.push(resizeObserver, mutationObserver);
+      observerCount += 2;
+    };
+
+    const discovery = new MutationObserver(timed((mutations) => {
+      mutations.forEach(mutation => mutation.addedNodes.forEach((node) => {
+        node.querySelectorAll?.('video').forEach(attach);
+      }));
+    }));
+    discovery.observe(document.body, { childList: true, subtree: true });
+    observers.push(discovery);
+    observerCount++;
+
+    return () => observers.forEach(observer => observer.disconnect());
+  }
+
+  /**
+   * The current design: one MutationObserver, one IntersectionObserver and one
+   * ResizeObserver, a WeakMap of tracked videos, overlays only near the
+   * viewport and repositioning batched per frame
+   */
+  function createSharedStrategy() {
+    const tracked = new WeakMap();
+    let refs = new Set();
+    const pending = new Set();
+    let frame = null;
+    let sweep = null;
+
+    const scheduleReposition = (video) => {
+      pending.add(video);
+      if (frame) return;
+      frame = requestAnimationFrame(timed(() => {
+        frame = null;
+        const videos = Array.from(pending).filter(v => tracked.get(v)?.overlay);
+        pending.clear();
+        const rects = videos.map(video => measure(video));
+        videos.forEach((video, index) => applyPosition(tracked.get(video).overlay, rects[index]));
+      }));
+    };
+
+    const resizeObserver = new ResizeObserver(timed((entries) => {
+      entries.forEach(({ target }) => scheduleReposition(target));
+    }));
+
+    const intersectionObserver = new IntersectionObserver(timed((entries) => {
+      entries.forEach(({ target, isIntersecting }) => {
+        const record = tracked.get(target);
+        if (!record) return;
+        if (isIntersecting && !record.overlay) {
+          record.overlay = createOverlay(target);
+          resizeObserver.observe(target);
+        } else if (!isIntersecting && record.overlay) {
+          record.overlay.remove();
+          record.overlay = null;
+          resizeObserver.unobserve(target);
+        }
+      });
+    }), { rootMargin: '200px' });
+
+    const mutationObserver = new MutationObserver(timed((mutations) => {
+      let removed = false;
+      mutations.forEach((mutation) => {
+        mutation.addedNodes.forEach((node) => {
+          node.querySelectorAll?.('video').forEach((video) => {
+            tracked.set(video, { overlay: null });
+            refs.add(new WeakRef(video));
+            intersectionObserver.observe(video);
+          });
+        });
+        removed = removed || mutation.removedNodes.length > 0;
+      });
+      if (removed && !sweep) {
+        sweep = requestAnimationFrame(timed(() => {
+          sweep = null;
+          refs.forEach((ref) => {
+            const video = ref.deref();
+            if (video && video.isConnected) return;
+            if (video) {
+              tracked.get(video)?.overlay?.remove();
+              intersectionObserver.unobserve(video);
+              resizeObserver.unobserve(video);
+              tracked.delete(video);
+            }
+            refs.delete(ref);
+          });
+        }));
+      }
+    }));
+    mutationObserver.observe(document.body, { childList: true, subtree: true });
+    observerCount += 3;
+
+    return () => {
+      mutationObserver.disconnect();
+      intersectionObserver.disconnect();
+      resizeObserver.disconnect();
+      refs = new Set();
+    };
+  }
+
+  function createOverlay(video) {
+    const overlay = document.createElement('div');
+    overlay.className = 'bench-overlay';
+    video.parentElement.appendChild(overlay);
+    placeOverlay(video, overlay);
+    return overlay;
+  }
+
+  function placeOverlay(video, overlay) {
+    applyPosition(overlay, measure(video));
+  }
+
+  function measure(video) {
+    const rect = video.getBoundingClientRect();
+    const parentRect = video.parentElement.getBoundingClientRect();
+    return { left: rect.right - parentRect.left - 48, top: rect.top - parentRect.top + 8 };
+  }
+
+  function applyPosition(overlay, { left, top }) {
+    overlay.style.left = `${left}px`;
+    overlay.style.top = `${top}px`;
+  }
+
+  // MARK: - Feed
+
+  let nextPostId = 0;
+
+  function addBatch() {
+    const fragment = document.createDocumentFragment();
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const post = document.createElement('div');
+      post.className = 'post';
+      post.innerHTML = `
+        <div>Post #${nextPostId++}</div>
+        <video muted playsinline></video>
+        <div>Likes: <span class="likes">0</span></div>
+      `;
+      fragment.appendChild(post);
+    }
+    feed.appendChild(fragment);
+  }
+
+  /**
+   * Drop posts far above the viewport, keeping the scroll position steady
+   */
+  function recyclePosts() {
+    const posts = feed.querySelectorAll('.post');
+    const aboveViewport = Array.from(posts).filter(post => post.getBoundingClientRect().bottom < 0);
+    const excess = aboveViewport.slice(0, Math.max(0, aboveViewport.length - KEEP_ABOVE));
+    if (excess.length === 0) return;
+
+    const removedHeight = excess.reduce((sum, post) => sum + post.offsetHeight + 16, 0);
+    excess.forEach(post => post.remove());
+    window.scrollBy(0, -removedHeight);
+  }
+
+  /**
+   * Churn like a live feed: visible counters change every frame
+   */
+  function tickCounters() {
+    feed.querySelectorAll('.likes').forEach((likes) => {
+      likes.textContent = String(Number(likes.textContent) + 1);
+    });
+  }
+
+  // MARK: - Run
+
+  function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(resolve));
+  }
+
+  async function run() {
+    const postCount = Number(document.getElementById('postCount').value) || 300;
+    const strategy = document.getElementById('strategy').value;
+
+    runButton.disabled = true;
+    feed.replaceChildren();
+    window.scrollTo(0, 0);
+    nextPostId = 0;
+    callbackTime = 0;
+    observerCount = 0;
+
+    const teardown = strategy === 'legacy' ? createLegacyStrategy()
+      : strategy === 'shared' ? createSharedStrategy()
+      : () => {};
+
+    const frameTimes = [];
+    let last = await nextFrame();
+
+    while (nextPostId < postCount || window.innerHeight + window.scrollY < document.body.scrollHeight - 10) {
+      if (nextPostId < postCount && window.innerHeight + window.scrollY > document.body.scrollHeight - window.innerHeight) {
+        addBatch();
+      }
+      window.scrollBy(0, SCROLL_STEP_PX);
+      tickCounters();
+      recyclePosts();
+
+      const now = await nextFrame();
+      frameTimes.push(now - last);
+      last = now;
+    }
+
+    // Let pending callbacks settle before counting what is left in the page
+    await nextFrame();
+    const overlays = document.querySelectorAll('.bench-overlay, .vidpull-overlay-container').length;
+    teardown();
+
+    frameTimes.sort((a, b) => a - b);
+    const average = frameTimes.reduce((sum, time) => sum + time, 0) / frameTimes.length;
+    const p95 = frameTimes[Math.floor(frameTimes.length * 0.95)];
+
+    const row = document.createElement('tr');
+    [
+      document.getElementById('strategy').selectedOptions[0].textContent,
+      postCount,
+      observerCount,
+      callbackTime.toFixed(1),
+      `${average.toFixed(1)} ms`,
+      `${p95.toFixed(1)} ms`,
+      overlays
+    ].forEach((value) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    results.appendChild(row);
+    runButton.disabled = false;
+  }
+
+  runButton.addEventListener('click', run);
+})();
@@ -0,0 +1,59 @@
+// VidPull Chrome Extension - Browser API
+// Promise-based extension APIs as a global `browser` in every browser, and
+// helpers for the few places Chrome and Firefox still differ. Loaded before
+// everything else: first in background.js, the content scripts and the pages.
+
+(function(root) {
+  'use strict';
+
+  // Firefox provides browser.*; Chrome's chrome.* returns the same promises
+  // in Manifest V3 when called without a callback
+  if (!root.browser && root.chrome?.runtime) {
+    root.browser = root.chrome;
+  }
+  const browser = root.browser;
+
+  const isFirefox = !!browser?.runtime.getURL('').startsWith('moz-extension:');
+
+  /**
+   * webRequest extraInfoSpec without the options the browser rejects
+   * (Chrome needs 'extraHeaders' to see Referer/Origin; Firefox always
+   * shows them and throws on the unknown value)
+   */
+  function webRequestOptions(...options) {
+    return isFirefox ? options.filter(option => option !== 'extraHeaders') : options;
+  }
+
+  /**
+   * Why a native messaging port closed, if the browser said
+   */
+  function getPortError(port) {
+    return port.error?.message || root.chrome?.runtime?.lastError?.message || null;
+  }
+
+  /**
+   * Open the browser's page for changing the extension's keyboard shortcuts
+   */
+  function openShortcutSettings() {
+    if (browser.commands.openShortcutSettings) {
+      return browser.commands.openShortcutSettings();
+    }
+    // Extensions can't open about:addons, so older Firefox gets the help page
+    const url = isFirefox
+      ? 'https://support.mozilla.org/kb/manage-extension-shortcuts-firefox'
+      : 'chrome://extensions/shortcuts';
+    return browser.tabs.create({ url });
+  }
+
+  const api = {
+    isFirefox,
+    webRequestOptions,
+    getPortError,
+    openShortcutSettings
+  };
+
+  root.VidPullBrowser = api;
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})(globalThis);
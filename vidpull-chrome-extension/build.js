@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// VidPull Chrome Extension - Build
+// Writes a loadable copy of the extension for each browser to dist/<target>:
+//
+//   node build.js            # dist/chrome and dist/firefox
+//   node build.js firefox    # just one
+//
+// manifest.json is the Chrome MV3 manifest, so this folder still loads
+// unpacked in Chrome, Edge, Brave and other Chromium browsers as is. Every
+// other file is copied unchanged; only the manifest differs per target.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_DIR = __dirname;
+const DIST_DIR = path.join(SOURCE_DIR, 'dist');
+
+// Development files that don't ship in the extension
+const EXCLUDED = [
+  'dist', 'bench', 'native-host', 'http-target', 'test', 'node_modules',
+  'build.js', 'package.json', 'package-lock.json'
+];
+
+// Fixed so the native host manifest can list it in allowed_extensions
+const GECKO_ID = 'vidpull@vidpull.app';
+// First Firefox to run content scripts in the page's world (shadow-hook.js)
+const GECKO_MIN_VERSION = '128.0';
+
+const TARGETS = {
+  chrome: manifest => manifest,
+  firefox: manifest => {
+    const { service_worker: serviceWorker, ...background } = manifest.background;
+    return {
+      ...manifest,
+      background: {
+        ...background,
+        scripts: [...getImportedScripts(serviceWorker), serviceWorker]
+      },
+      browser_specific_settings: {
+        gecko: {
+          id: GECKO_ID,
+          strict_min_version: GECKO_MIN_VERSION
+        }
+      }
+    };
+  }
+};
+
+/**
+ * Files the service worker loads with importScripts(), which Firefox has to
+ * load as background scripts before it instead
+ */
+function getImportedScripts(file) {
+  const source = fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8');
+  const call = source.match(/importScripts\(([^)]*)\)/);
+  if (!call) return [];
+  return Array.from(call[1].matchAll(/'([^']+)'/g), match => match[1]);
+}
+
+function build(target) {
+  const outDir = path.join(DIST_DIR, target);
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  fs.readdirSync(SOURCE_DIR)
+    .filter(name => !EXCLUDED.includes(name) && !name.startsWith('.') && name !== 'manifest.json')
+    .forEach((name) => {
+      fs.cpSync(path.join(SOURCE_DIR, name), path.join(outDir, name), { recursive: true });
+    });
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, 'manifest.json'), 'utf8'));
+  fs.writeFileSync(path.join(outDir, 'manifest.json'), `${JSON.stringify(TARGETS[target](manifest), null, 2)}\n`);
+  console.log(`Built ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+const targets = process.argv.slice(2);
+const unknown = targets.filter(target => !TARGETS[target]);
+if (unknown.length > 0) {
+  console.error(`Unknown target ${unknown.join(', ')} (expected ${Object.keys(TARGETS).join(', ')})`);
+  process.exit(1);
+}
+(targets.length > 0 ? targets : Object.keys(TARGETS)).forEach(build);
@@ -1,420 +1,605 @@
 // VidPull Chrome Extension - Content Script
-// Detects video elements and adds download overlay buttons
+// Detects video and audio elements and adds download overlay buttons
 
 (function() {
   'use strict';
 
+  const {
+    FORMATS,
+    DEFAULT_FORMAT,
+    AUDIO_FORMAT,
+    EXTRAS,
+    SEND_TARGETS,
+    DEFAULT_SEND_TARGET,
+    STORAGE_KEY_SENT_INDEX,
+    cleanVideoUrl,
+    isDownloadableUrl,
+    isAudioUrl,
+    buildDeepLink,
+    normalizeExtras,
+    formatExtras,
+    isLanguageCode,
+    getSiteKey,
+    getSiteRule,
+    isSiteEnabled,
+    shouldShareCookies,
+    formatClipTime,
+    formatClipRange,
+    formatTimestamp,
+    getFormatLabel,
+    getIframeVideoUrl
+  } = VidPullShared;
+  const {
+    findPermalinkCandidates,
+    findCollection,
+    findMetadata,
+    parseEmbedUrl,
+    getVideoKey,
+    getStartTime,
+    utils
+  } = VidPullResolvers;
+
   const OVERLAY_CLASS = 'vidpull-overlay-button';
   const CONTAINER_CLASS = 'vidpull-overlay-container';
-  const STORAGE_KEY_POSITION = 'vidpullButtonPosition';
+  const MENU_CLASS = 'vidpull-format-menu';
+  const BUTTON_TITLE = 'Download with VidPull (drag to reposition, Shift-click to choose the URL)';
+  
+  // Overlay button download states and how long finished states stay visible
+  const OVERLAY_STATES = ['queued', 'progress', 'done', 'error', 'confirm'];
+  const STATE_RESET_MS = 6000;
+  const RESOLVED_URL_TTL_MS = 2000;
+  const RING_CIRCUMFERENCE = 2 * Math.PI * 18;
+  
+  // Overlay whose clip panel the I/O/Escape hotkeys apply to
+  let activeClipContainer = null;
+  
+  // Element picked with the cycle-video command; number keys send it in a
+  // format until Escape, a click elsewhere or the next pick
+  const KEYBOARD_TARGET_CLASS = 'vidpull-keyboard-target';
+  let highlightedElement = null;
+  
+  // Last pointer position as { view, x, y }, in that window's coordinates
+  let lastPointer = null;
+  
+  // Like a player's own controls, overlays fade out once the pointer rests on
+  // their video for this long, and come back when it moves
+  const AUTO_HIDE_MS = 3000;
+  const IDLE_CLASS = 'vidpull-idle';
+  let wakeFrame = null;
+  
+  // Overlays whose video is in the browser's picture-in-picture window sit in
+  // the corner of the tab instead
+  const DOCKED_CLASS = 'vidpull-docked';
+  
+  // Open Document Picture-in-Picture window, which players can move into
+  let pictureInPictureWindow = null;
+  
+  // A video filling at least this much of a same-origin frame gets its button
+  // on the frame element instead, where menus aren't clipped by the frame
+  const FRAME_FILL_RATIO = 0.8;
+  
+  // Audio players shorter than this, and podcast episode links, get a small
+  // button beside them instead of one over their controls
+  const COMPACT_MAX_HEIGHT = 100;
+  const COMPACT_CLASS = 'vidpull-compact';
+  const BUTTON_SIZE = 40;
+  const COMPACT_BUTTON_SIZE = 24;
+  const COMPACT_GAP = 4;
+  
+  // Links to podcast episode files (rel="enclosure", as in RSS and Atom)
+  const ENCLOSURE_SELECTOR = 'a[rel~="enclosure"][href]';
+  
+  // Shift-click, or holding the button down this long, opens the URL
+  // inspector, which outlines the element the URL under the pointer came from
+  const LONG_PRESS_MS = 500;
+  const INSPECT_SOURCE_CLASS = 'vidpull-inspect-source';
+  let inspectedSource = null;
+  
+  // How the URL inspector names each way of finding a URL
+  const STRATEGY_LABELS = {
+    src: 'Video src',
+    source: '<source>',
+    permalink: 'Permalink',
+    'og:video': 'og:video tag',
+    'og:audio': 'og:audio tag',
+    embed: 'Embed player',
+    link: 'Episode link',
+    page: 'Page URL'
+  };
+  
+  // Frames whose videos another frame's script already covers: a same-origin
+  // parent walks into this document itself, and a recognized embed player is
+  // given one button on its <iframe> by the embedding page
+  const isHandledByParent = window !== window.top && (canAccessParent() || !!parseEmbedUrl(window.location.href));
+  
+  // Every overlay container, wherever in the page (shadow roots, frames) it lives
+  const overlayContainers = new Set();
   
   let overlaysVisible = true;
   let extensionEnabled = true;
+  let isActive = false;
+  
+  // Per-site enable/disable rules, button positions and last chosen formats
+  let siteRules = {};
+  let siteMode = 'all';
+  let sendTarget = DEFAULT_SEND_TARGET;
+  let debugMode = false;
+  const currentSite = getSiteKey(window.location.href);
   
-  // Default position: top-right corner (as percentage offsets from top-left)
-  let buttonPosition = { xPercent: 95, yPercent: 5 };
-
-  // Known video platform patterns for extracting video URLs from embeds
-  const EMBED_PATTERNS = [
-    // YouTube
-    { pattern: /youtube\.com\/embed\/([^?&/]+)/, buildUrl: (id) => `https://www.youtube.com/watch?v=${id}` },
-    { pattern: /youtube-nocookie\.com\/embed\/([^?&/]+)/, buildUrl: (id) => `https://www.youtube.com/watch?v=${id}` },
-    // Vimeo
-    { pattern: /player\.vimeo\.com\/video\/(\d+)/, buildUrl: (id) => `https://vimeo.com/${id}` },
-    // Dailymotion
-    { pattern: /dailymotion\.com\/embed\/video\/([^?&/]+)/, buildUrl: (id) => `https://www.dailymotion.com/video/${id}` },
-    // Twitch clips
-    { pattern: /clips\.twitch\.tv\/embed\?.*?clip=([^&]+)/, buildUrl: (id) => `https://clips.twitch.tv/${id}` },
-    // Twitch videos
-    { pattern: /player\.twitch\.tv\/\?.*?video=v?(\d+)/, buildUrl: (id) => `https://www.twitch.tv/videos/${id}` },
-    // Facebook
-    { pattern: /facebook\.com\/plugins\/video\.php\?.*?href=([^&]+)/, buildUrl: (encoded) => decodeURIComponent(encoded) },
-    // Twitter/X
-    { pattern: /platform\.twitter\.com\/embed\/Tweet\.html\?.*?id=(\d+)/, buildUrl: (id) => `https://twitter.com/i/status/${id}` },
-  ];
+  let buttonPosition = VidPullSettings.getDefaults().buttonPosition;
+  
+  // Videos sent before, by getVideoKey (see STORAGE_KEY_SENT_INDEX)
+  let sentIndex = {};
 
   // Load initial settings
-  chrome.storage.sync.get(['overlaysVisible', 'extensionEnabled', STORAGE_KEY_POSITION], (result) => {
-    overlaysVisible = result.overlaysVisible !== false;
-    extensionEnabled = result.extensionEnabled !== false;
-    
-    if (result[STORAGE_KEY_POSITION]) {
-      buttonPosition = result[STORAGE_KEY_POSITION];
-    }
+  VidPullSettings.load().then((settings) => {
+    overlaysVisible = settings.overlaysVisible;
+    extensionEnabled = settings.extensionEnabled;
+    buttonPosition = settings.buttonPosition;
+    siteRules = settings.siteRules;
+    siteMode = settings.siteMode;
+    sendTarget = settings.sendTarget;
+    debugMode = settings.debugMode;
     
-    if (extensionEnabled) {
-      init();
-    }
+    updateActiveState();
   });
 
   // Listen for settings changes
-  chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === 'sync') {
-      if (changes.overlaysVisible) {
-        overlaysVisible = changes.overlaysVisible.newValue;
-        updateOverlayVisibility();
-      }
-      if (changes.extensionEnabled) {
-        extensionEnabled = changes.extensionEnabled.newValue;
-        if (extensionEnabled) {
-          init();
-        } else {
-          removeAllOverlays();
-        }
-      }
-      if (changes[STORAGE_KEY_POSITION]) {
-        buttonPosition = changes[STORAGE_KEY_POSITION].newValue;
-        repositionAllOverlays();
+  VidPullSettings.onChange((changes) => {
+    if ('overlaysVisible' in changes) {
+      overlaysVisible = changes.overlaysVisible;
+      updateOverlayVisibility();
+    }
+    if ('extensionEnabled' in changes) {
+      extensionEnabled = changes.extensionEnabled;
+    }
+    if ('siteRules' in changes) {
+      siteRules = changes.siteRules;
+      updateCookieIndicators();
+      updateFormatLabels();
+    }
+    if ('siteMode' in changes) {
+      siteMode = changes.siteMode;
+    }
+    if ('sendTarget' in changes) {
+      sendTarget = changes.sendTarget;
+    }
+    if ('debugMode' in changes) {
+      debugMode = changes.debugMode;
+    }
+    if ('extensionEnabled' in changes || 'siteRules' in changes || 'siteMode' in changes) {
+      updateActiveState();
+    }
+    if ('buttonPosition' in changes || 'siteRules' in changes) {
+      if ('buttonPosition' in changes) {
+        buttonPosition = changes.buttonPosition;
       }
+      repositionAllOverlays();
     }
   });
 
-  // Listen for keyboard shortcut from background script
-  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  browser.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes[STORAGE_KEY_SENT_INDEX]) {
+      sentIndex = changes[STORAGE_KEY_SENT_INDEX].newValue || {};
+      overlayContainers.forEach(updateSentIndicator);
+    }
+  });
+
+  // Element the user last right-clicked, used by the context menu
+  let lastContextTarget = null;
+  document.addEventListener('contextmenu', (e) => {
+    lastContextTarget = e.target;
+  }, true);
+
+  // Listen for messages from background script
+  browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'toggle-overlay') {
       overlaysVisible = !overlaysVisible;
-      chrome.storage.sync.set({ overlaysVisible });
+      // Every frame gets the command; one write is enough
+      if (window === window.top) {
+        VidPullSettings.save({ overlaysVisible });
+      }
       updateOverlayVisibility();
     }
+    if (message.action === 'resolve-context-target') {
+      const video = lastContextTarget?.closest?.('video, audio');
+      sendResponse({ url: video ? getBestVideoUrl(video) : null });
+    }
+    if (message.action === 'collect-videos') {
+      sendResponse({ videos: isHandledByParent ? [] : collectPageVideos() });
+    }
+    if (message.action === 'open-deeplink') {
+      window.location.href = message.url;
+    }
+    if (message.action === 'copy-text') {
+      copyText(message.text);
+    }
+    if (message.action === 'download-progress') {
+      applyJobUpdate(message.job);
+    }
+    if (message.action === 'download-video') {
+      downloadKeyboardTarget();
+    }
+    if (message.action === 'cycle-video') {
+      cycleHighlight();
+    }
   });
 
-  function init() {
-    findAndProcessVideos();
-    findAndProcessIframes();
-    observeDOM();
+  /**
+   * Start or stop overlays when the global switch or this site's rule changes
+   */
+  function updateActiveState() {
+    const shouldBeActive = extensionEnabled && isSiteEnabled(siteRules, siteMode, currentSite);
+    if (shouldBeActive === isActive) return;
+    
+    isActive = shouldBeActive;
+    if (isActive) {
+      init();
+    } else {
+      removeAllOverlays();
+    }
+  }
+
+  /**
+   * Button position for this site, falling back to the global default
+   */
+  function getButtonPosition() {
+    return getSiteRule(siteRules, currentSite).position || buttonPosition;
   }
 
-  function findAndProcessVideos() {
-    const videos = document.querySelectorAll('video');
-    videos.forEach(video => attachOverlayToVideo(video));
+  function saveSitePosition(position) {
+    siteRules = {
+      ...siteRules,
+      [currentSite]: { ...siteRules[currentSite], position }
+    };
+    VidPullSettings.updateSiteRule(currentSite, { position });
   }
 
-  function findAndProcessIframes() {
-    const iframes = document.querySelectorAll('iframe');
-    iframes.forEach(iframe => attachOverlayToIframe(iframe));
+  function init() {
+    if (!isHandledByParent) {
+      observeDOM();
+      scanRoot(document);
+      browser.storage.local.get(STORAGE_KEY_SENT_INDEX).then((result) => {
+        sentIndex = result[STORAGE_KEY_SENT_INDEX] || {};
+        overlayContainers.forEach(updateSentIndicator);
+      }).catch(() => {});
+    }
+    
+    // Pick up downloads that were already running when the page loaded
+    browser.runtime.sendMessage({ action: 'get-active-jobs' }).then((response) => {
+      response?.jobs?.forEach(applyJobUpdate);
+    }).catch(() => {});
   }
 
+  let domObserver = null;
+  // Documents and shadow roots domObserver is watching
+  let observedRoots = new WeakSet();
+
   function observeDOM() {
-    const observer = new MutationObserver((mutations) => {
+    if (domObserver) return;
+    
+    domObserver = new MutationObserver((mutations) => {
       mutations.forEach((mutation) => {
         mutation.addedNodes.forEach((node) => {
           if (node.nodeType === Node.ELEMENT_NODE) {
-            if (node.tagName === 'VIDEO') {
-              attachOverlayToVideo(node);
-            }
-            if (node.tagName === 'IFRAME') {
-              attachOverlayToIframe(node);
-            }
-            const videos = node.querySelectorAll?.('video');
-            if (videos) {
-              videos.forEach(video => attachOverlayToVideo(video));
-            }
-            const iframes = node.querySelectorAll?.('iframe');
-            if (iframes) {
-              iframes.forEach(iframe => attachOverlayToIframe(iframe));
-            }
+            scanRoot(node);
           }
         });
+        if (mutation.removedNodes.length > 0) {
+          scheduleSweep();
+        }
       });
     });
-
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+    observeRoot(document);
+    window.documentPictureInPicture?.addEventListener('enter', onDocumentPictureInPicture);
   }
 
   /**
-   * Get the best downloadable URL for a video element (called at click time)
+   * Watch a document or shadow root for new videos, along with the events that
+   * only fire inside it
    */
-  function getBestVideoUrl(video) {
-    // 1. Try direct video src (if it's a real URL, not blob)
-    const videoSrc = video.src || video.currentSrc;
-    if (videoSrc && isDownloadableUrl(videoSrc)) {
-      return videoSrc;
-    }
+  function observeRoot(root) {
+    if (!domObserver || observedRoots.has(root)) return;
+    observedRoots.add(root);
     
-    // 2. Try source elements
-    const sourceEl = video.querySelector('source[src]');
-    if (sourceEl && sourceEl.src && isDownloadableUrl(sourceEl.src)) {
-      return sourceEl.src;
+    domObserver.observe(root, { childList: true, subtree: true });
+    // Not composed, so these only reach the video's own document or shadow root
+    root.addEventListener('enterpictureinpicture', onPictureInPictureChange, true);
+    root.addEventListener('leavepictureinpicture', onPictureInPictureChange, true);
+    if (root.nodeType === Node.DOCUMENT_NODE) {
+      // Announced by shadow-hook.js when a page script attaches a shadow root
+      root.addEventListener('vidpull-shadow-root', onShadowRootAttached, true);
+      root.addEventListener('fullscreenchange', onFullscreenChange, true);
+      if (root !== document) {
+        observePointer(root);
+        root.addEventListener('keydown', onHotkey, true);
+      }
     }
+  }
+
+  function onShadowRootAttached(e) {
+    if (!domObserver) return;
     
-    // 3. Try to find the canonical/permalink URL for this video
-    const permalink = findVideoPermalink(video);
-    if (permalink) {
-      return permalink;
+    // The event is composed, so at the document its target is the outermost
+    // host; the host that got the new root is first in the composed path
+    const shadowRoot = e.composedPath()[0]?.shadowRoot;
+    if (shadowRoot) {
+      observeRoot(shadowRoot);
+      scanRoot(shadowRoot);
     }
-    
-    // 4. Try og:video meta tags
-    const ogVideo = document.querySelector('meta[property="og:video:url"], meta[property="og:video"]');
-    if (ogVideo?.content && isDownloadableUrl(ogVideo.content)) {
-      return ogVideo.content;
+  }
+
+  /**
+   * Attach overlays to the videos, audio players, embeds and episode links
+   * under root, including inside open shadow roots and same-origin frames,
+   * and watch those for changes too
+   * @param {Document|ShadowRoot|Element} root
+   */
+  function scanRoot(root) {
+    if (root.nodeType === Node.ELEMENT_NODE) {
+      scanElement(root);
+    }
+    root.querySelectorAll(`video, audio, iframe, ${ENCLOSURE_SELECTOR}`).forEach(scanElement);
+    getShadowRoots(root).forEach((shadowRoot) => {
+      observeRoot(shadowRoot);
+      scanRoot(shadowRoot);
+    });
+  }
+
+  function scanElement(element) {
+    if (element.tagName === 'VIDEO' || element.tagName === 'AUDIO') {
+      attachOverlayToVideo(element);
+    } else if (element.tagName === 'IFRAME') {
+      attachOverlayToIframe(element);
+      watchFrame(element);
+    } else if (element.matches(ENCLOSURE_SELECTOR)) {
+      attachOverlayToEnclosure(element);
     }
+  }
+
+  let watchedFrames = new WeakSet();
+
+  /**
+   * Walk into a same-origin frame now and whenever it loads a new document
+   */
+  function watchFrame(iframe) {
+    if (watchedFrames.has(iframe)) return;
+    watchedFrames.add(iframe);
     
-    // 5. Use page URL as last resort, but clean it for YouTube
-    return cleanVideoUrl(window.location.href);
+    const scanFrame = () => {
+      const frameDocument = getFrameDocument(iframe);
+      if (!frameDocument || !domObserver) return;
+      observeRoot(frameDocument);
+      scanRoot(frameDocument);
+    };
+    iframe.addEventListener('load', scanFrame);
+    scanFrame();
   }
 
   /**
-   * Clean a video URL to remove playlist parameters and other unnecessary parts
-   * This ensures we get just the single video URL, not a playlist URL
+   * The frame's document if it is same-origin, otherwise null
    */
-  function cleanVideoUrl(url) {
+  function getFrameDocument(iframe) {
     try {
-      const urlObj = new URL(url);
-      
-      // YouTube: Extract just the video ID, remove playlist and other params
-      if (urlObj.hostname.includes('youtube.com') || urlObj.hostname.includes('youtu.be')) {
-        let videoId = null;
-        
-        // youtube.com/watch?v=VIDEO_ID
-        if (urlObj.pathname === '/watch') {
-          videoId = urlObj.searchParams.get('v');
-        }
-        // youtube.com/shorts/VIDEO_ID
-        else if (urlObj.pathname.startsWith('/shorts/')) {
-          videoId = urlObj.pathname.split('/shorts/')[1]?.split('/')[0];
-        }
-        // youtube.com/live/VIDEO_ID
-        else if (urlObj.pathname.startsWith('/live/')) {
-          videoId = urlObj.pathname.split('/live/')[1]?.split('/')[0];
-        }
-        // youtube.com/embed/VIDEO_ID
-        else if (urlObj.pathname.startsWith('/embed/')) {
-          videoId = urlObj.pathname.split('/embed/')[1]?.split('/')[0];
-        }
-        // youtu.be/VIDEO_ID
-        else if (urlObj.hostname === 'youtu.be') {
-          videoId = urlObj.pathname.substring(1).split('/')[0];
-        }
-        
-        if (videoId) {
-          // Return clean YouTube URL with just the video ID
-          return `https://www.youtube.com/watch?v=${videoId}`;
-        }
-      }
-      
-      // For other sites, return as-is
-      return url;
+      return iframe.contentDocument;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function canAccessParent() {
+    try {
+      return !!window.parent.document;
     } catch (e) {
-      // If URL parsing fails, return original
-      return url;
+      return false;
     }
   }
 
   /**
-   * Find permalink/canonical URL for a video by looking at surrounding elements
+   * Open shadow roots directly under root (not nested inside other shadow roots)
    */
-  function findVideoPermalink(video) {
-    // For Twitter/X: Find the closest status link to the video
-    // This handles quote retweets where the video is in the quoted tweet
-    const closestStatusLink = findClosestStatusLink(video);
-    if (closestStatusLink) {
-      return closestStatusLink;
-    }
-    
-    // Walk up the DOM tree looking for links that might be the video permalink
-    let element = video.parentElement;
-    let depth = 0;
-    const maxDepth = 15;
-    
-    while (element && depth < maxDepth) {
-      const redditLink = element.querySelector('a[href*="/comments/"]'); // Reddit
-      if (redditLink) {
-        return redditLink.href;
-      }
-      
-      // Check for data attributes that might contain video ID
-      const tweetId = element.dataset?.tweetId || element.closest('[data-tweet-id]')?.dataset?.tweetId;
-      if (tweetId) {
-        return `https://twitter.com/i/status/${tweetId}`;
-      }
-      
-      element = element.parentElement;
-      depth++;
-    }
+  function getShadowRoots(root) {
+    const shadowRoots = [];
+    if (root.shadowRoot) shadowRoots.push(root.shadowRoot);
     
-    // Check for Twitter/X specific URL patterns in current page
-    const currentUrl = window.location.href;
-    if (currentUrl.match(/https?:\/\/(twitter\.com|x\.com)\/[^/]+\/status\/\d+/)) {
-      return currentUrl;
+    const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    while (walker.nextNode()) {
+      if (walker.currentNode.shadowRoot) shadowRoots.push(walker.currentNode.shadowRoot);
     }
-    
-    return null;
+    return shadowRoots;
   }
 
   /**
-   * Find the closest status link to a video element (for Twitter/X)
-   * This traverses up from the video and finds the first valid status link
-   * at each level, ensuring we get the quoted tweet's link, not the outer tweet's
+   * querySelectorAll that also looks inside open shadow roots and same-origin frames
    */
-  function findClosestStatusLink(video) {
-    let element = video.parentElement;
-    let depth = 0;
-    const maxDepth = 20;
-    
-    while (element && depth < maxDepth) {
-      // Check if this element itself is a link to a status
-      if (element.tagName === 'A' && element.href) {
-        if (isValidStatusLink(element.href)) {
-          return element.href;
-        }
-      }
-      
-      // Look for direct child links (not nested in sub-containers)
-      // This prevents finding links from the outer tweet when we're in a quoted tweet
-      const directLinks = Array.from(element.children).filter(child => 
-        child.tagName === 'A' && child.href && isValidStatusLink(child.href)
-      );
-      if (directLinks.length > 0) {
-        return directLinks[0].href;
-      }
-      
-      // Look for a timestamp link at this level (common pattern for tweet permalinks)
-      const timeEl = element.querySelector(':scope > a[href*="/status/"] time, :scope > div > a[href*="/status/"] time');
-      if (timeEl) {
-        const timeLink = timeEl.closest('a');
-        if (timeLink && isValidStatusLink(timeLink.href)) {
-          return timeLink.href;
-        }
-      }
-      
-      // For quoted tweets: check if we're in a quoted tweet container
-      // Quoted tweets often have a specific structure with the status link nearby
-      if (element.getAttribute('data-testid') === 'tweetPhoto' || 
-          element.getAttribute('role') === 'link' ||
-          element.querySelector('[data-testid="tweetPhoto"]')) {
-        // Look for the closest ancestor that contains a status link
-        const statusLink = element.querySelector('a[href*="/status/"]');
-        if (statusLink && isValidStatusLink(statusLink.href)) {
-          return statusLink.href;
-        }
-      }
-      
-      // If we hit an article boundary, search within it but prioritize 
-      // links closer to the video (quoted content)
-      if (element.tagName === 'ARTICLE') {
-        // First, try to find links within quoted tweet containers
-        const quotedTweet = element.querySelector('[data-testid="quoteTweet"], [role="link"][tabindex="0"]');
-        if (quotedTweet && quotedTweet.contains(video)) {
-          // Video is in quoted tweet - find status link in quoted section
-          const quotedLink = quotedTweet.querySelector('a[href*="/status/"]');
-          if (quotedLink && isValidStatusLink(quotedLink.href)) {
-            return quotedLink.href;
-          }
-          // Sometimes the quoted tweet container itself is a link
-          if (quotedTweet.tagName === 'A' && isValidStatusLink(quotedTweet.href)) {
-            return quotedTweet.href;
-          }
-          // Check parent of quoted tweet for the link
-          const quotedParent = quotedTweet.closest('a[href*="/status/"]');
-          if (quotedParent && isValidStatusLink(quotedParent.href)) {
-            return quotedParent.href;
-          }
-        }
-        
-        // Fallback: find all status links and get the one closest to the video
-        const allStatusLinks = element.querySelectorAll('a[href*="/status/"]');
-        let closestLink = null;
-        let closestDistance = Infinity;
-        
-        for (const link of allStatusLinks) {
-          if (!isValidStatusLink(link.href)) continue;
-          
-          // Calculate DOM distance from video to this link
-          const distance = getDomDistance(video, link);
-          if (distance < closestDistance) {
-            closestDistance = distance;
-            closestLink = link;
-          }
-        }
-        
-        if (closestLink) {
-          return closestLink.href;
-        }
-      }
-      
-      element = element.parentElement;
-      depth++;
-    }
-    
-    return null;
+  function querySelectorAllDeep(root, selector) {
+    const results = Array.from(root.querySelectorAll(selector));
+    getShadowRoots(root).forEach((shadowRoot) => {
+      results.push(...querySelectorAllDeep(shadowRoot, selector));
+    });
+    root.querySelectorAll('iframe').forEach((iframe) => {
+      const frameDocument = getFrameDocument(iframe);
+      if (frameDocument) results.push(...querySelectorAllDeep(frameDocument, selector));
+    });
+    return results;
+  }
+
+  /**
+   * Get the best downloadable URL for a video element (called at click time)
+   */
+  function getBestVideoUrl(video) {
+    return resolveVideoUrl(video).url;
   }
 
   /**
-   * Check if a URL is a valid Twitter/X status link
+   * Resolve a video element's URL, along with the strategy that found it
+   * @param {Array<string>} [trace] - Gets a line for each step tried, misses included
+   * @returns {{url: string, strategy: string}} strategy is one of
+   *   'src', 'source', 'permalink', 'og:video', 'og:audio' or 'page'
    */
-  function isValidStatusLink(href) {
-    if (!href) return false;
-    // Must match /status/ followed by digits, and not be a /photo/ or /video/ subpath
-    return href.match(/\/(status|statuses)\/\d+/) && 
-           !href.includes('/photo/') && 
-           !href.includes('/video/');
+  function resolveVideoUrl(video, trace) {
+    return findVideoCandidates(video, trace).next().value;
   }
 
   /**
-   * Calculate a simple DOM distance between two elements
-   * Lower number = closer in the DOM tree
+   * Every URL a video element could be sent as, best first, for the URL
+   * inspector; the first is the one resolveVideoUrl picks
+   * @returns {Array<{url: string, strategy: string, detail?: string, source?: Element}>}
    */
-  function getDomDistance(el1, el2) {
-    const path1 = getPathToRoot(el1);
-    const path2 = getPathToRoot(el2);
-    
-    // Find common ancestor
-    let commonDepth = 0;
-    while (commonDepth < path1.length && commonDepth < path2.length && 
-           path1[path1.length - 1 - commonDepth] === path2[path2.length - 1 - commonDepth]) {
-      commonDepth++;
+  function resolveVideoCandidates(video) {
+    const candidates = [];
+    for (const candidate of findVideoCandidates(video)) {
+      if (!candidates.some(other => other.url === candidate.url)) {
+        candidates.push(candidate);
+      }
     }
-    
-    // Distance = steps from el1 to common ancestor + steps from common ancestor to el2
-    return (path1.length - commonDepth) + (path2.length - commonDepth);
+    return candidates;
   }
 
   /**
-   * Get path from element to document root
+   * Yield a video's URLs strategy by strategy, ending with the page URL.
+   * source is the element a URL was read from, when there is one to show;
+   * permalinks leave it to showCandidateSource.
    */
-  function getPathToRoot(el) {
-    const path = [];
-    while (el) {
-      path.push(el);
-      el = el.parentElement;
+  function* findVideoCandidates(video, trace = []) {
+    const found = (candidate) => {
+      trace.push(`${candidate.strategy}: ${candidate.url}${candidate.detail ? ` (${candidate.detail})` : ''}`);
+      return candidate;
+    };
+    
+    // 1. Try direct video src (if it's a real URL, not blob)
+    const videoSrc = video.src || video.currentSrc;
+    if (videoSrc && isDownloadableUrl(videoSrc)) {
+      yield found({ url: videoSrc, strategy: 'src', source: video });
+    } else {
+      trace.push(`src: ${videoSrc ? `not downloadable (${videoSrc.slice(0, 60)})` : 'none'}`);
+    }
+    
+    // 2. Try source elements, shown on their player since they have no box
+    const sources = Array.from(video.querySelectorAll('source[src]'))
+      .filter(sourceEl => sourceEl.src && isDownloadableUrl(sourceEl.src));
+    for (const sourceEl of sources) {
+      yield found({ url: sourceEl.src, strategy: 'source', detail: sourceEl.type, source: video });
+    }
+    if (sources.length === 0) {
+      trace.push('source: none downloadable');
+    }
+    
+    // 3. Try to find the canonical/permalink URL for this video
+    const ownerDocument = video.ownerDocument;
+    const ownerLocation = ownerDocument.defaultView?.location || window.location;
+    const permalinks = findPermalinkCandidates(video, { document: ownerDocument, location: ownerLocation });
+    for (const { url, resolver } of permalinks) {
+      yield found({ url, strategy: 'permalink', detail: resolver });
+    }
+    if (permalinks.length === 0) {
+      trace.push('permalink: none found');
+    }
+    
+    // 4. Try og:video (og:audio for audio players) meta tags
+    const ogKind = video.tagName === 'AUDIO' ? 'audio' : 'video';
+    const ogSelector = `meta[property="og:${ogKind}:url"], meta[property="og:${ogKind}"]`;
+    const ogVideo = ownerDocument.querySelector(ogSelector) || document.querySelector(ogSelector);
+    if (ogVideo?.content && isDownloadableUrl(ogVideo.content)) {
+      yield found({ url: ogVideo.content, strategy: `og:${ogKind}`, source: null });
+    } else {
+      trace.push(`og:${ogKind}: ${ogVideo?.content ? 'not downloadable' : 'none'}`);
     }
-    return path;
+    
+    // 5. Use page URL as last resort, but clean it for YouTube
+    yield found({ url: cleanVideoUrl(window.location.href), strategy: 'page', source: null });
   }
 
   /**
-   * Check if URL is downloadable (not blob, data URI, etc.)
+   * Gather every resolvable video, audio and episode URL on the page for
+   * batch sending, de-duplicated after cleanVideoUrl normalization
+   * @returns {Array<{url: string, title: string, kind: string, audio: boolean, duration: number|null}>}
+   *   kind is 'video', 'audio', 'embed' or 'episode'
    */
-  function isDownloadableUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-    if (url.startsWith('blob:')) return false;
-    if (url.startsWith('data:')) return false;
-    if (url.trim() === '') return false;
-    return true;
+  function collectPageVideos() {
+    const seen = new Set();
+    const videos = [];
+    
+    // A start time from the page's link to a video is listed in the popup and sent as a clip
+    const add = (url, title, kind, { audio = false, element = null, linkElement = element } = {}) => {
+      if (!url) return;
+      const cleanUrl = cleanVideoUrl(url);
+      if (seen.has(cleanUrl)) return;
+      seen.add(cleanUrl);
+      const metadata = element && getVideoMetadata(element, cleanUrl);
+      const duration = Number.isFinite(element?.duration) ? element.duration : null;
+      const start = linkElement && getLinkedStart(linkElement, url);
+      videos.push({ url: cleanUrl, title: title || metadata?.title || document.title, kind, audio, duration, start, metadata });
+    };
+    
+    querySelectorAllDeep(document, 'video, audio').forEach(media => {
+      const audio = media.tagName === 'AUDIO';
+      add(getBestVideoUrl(media), media.title || media.getAttribute('aria-label'), audio ? 'audio' : 'video', { audio, element: media });
+    });
+    
+    querySelectorAllDeep(document, 'iframe').forEach(iframe => {
+      const url = getIframeVideoUrl(iframe);
+      add(url, iframe.title, 'embed', { audio: !!url && isAudioUrl(url), linkElement: iframe });
+    });
+    
+    findEnclosures().forEach(({ url, title, type }) => {
+      add(url, title, 'episode', { audio: type ? type.startsWith('audio/') : isAudioUrl(url) });
+    });
+    
+    return videos;
   }
 
   /**
-   * Get URL from embedded iframe
+   * Podcast episode files: rel="enclosure" links on the page, and the
+   * enclosures of an RSS or Atom feed opened in the tab
+   * @returns {Array<{url: string, title: string|null, type: string}>}
    */
-  function getIframeVideoUrl(iframe) {
-    const src = iframe.src;
-    if (!src) return null;
+  function findEnclosures() {
+    const enclosures = querySelectorAllDeep(document, ENCLOSURE_SELECTOR).map(link => ({
+      url: link.href,
+      title: link.title || link.textContent.trim() || null,
+      type: link.type
+    }));
     
-    for (const { pattern, buildUrl } of EMBED_PATTERNS) {
-      const match = src.match(pattern);
-      if (match) {
-        return buildUrl(match[1]);
-      }
+    // Feeds open as XML documents
+    if (!(document instanceof HTMLDocument)) {
+      document.querySelectorAll('item > enclosure[url], entry > link[rel="enclosure"][href]').forEach((element) => {
+        const href = element.getAttribute('url') || element.getAttribute('href');
+        try {
+          enclosures.push({
+            url: new URL(href, document.baseURI).href,
+            title: element.parentElement.querySelector(':scope > title')?.textContent.trim() || null,
+            type: element.getAttribute('type') || ''
+          });
+        } catch (e) {
+          // Not a URL
+        }
+      });
     }
-    
-    return null;
+    return enclosures;
   }
 
   function attachOverlayToVideo(video) {
     if (video.dataset.vidpullAttached) return;
-    attachOverlay(video, () => getBestVideoUrl(video));
+    
+    const anchor = getOverlayAnchor(video);
+    if (anchor.dataset.vidpullAttached) return;
+    attachOverlay(anchor, () => getBestVideoUrl(video), video);
+  }
+
+  /**
+   * Element a video's button sits on: normally the video, but the <iframe>
+   * showing it when the video fills a same-origin frame, so the button is on
+   * the element the user sees in the top-level page
+   */
+  function getOverlayAnchor(video) {
+    const frameWindow = video.ownerDocument.defaultView;
+    const frame = video.ownerDocument !== document ? frameWindow?.frameElement : null;
+    if (!frame) return video;
+    
+    const rect = video.getBoundingClientRect();
+    const frameArea = frameWindow.innerWidth * frameWindow.innerHeight;
+    return frameArea > 0 && (rect.width * rect.height) / frameArea >= FRAME_FILL_RATIO ? frame : video;
   }
 
   function attachOverlayToIframe(iframe) {
@@ -423,33 +608,143 @@
     const embedUrl = getIframeVideoUrl(iframe);
     if (!embedUrl) return; // Only attach to recognized video embeds
     
-    attachOverlay(iframe, () => embedUrl);
+    attachOverlay(iframe, () => embedUrl, null, isAudioUrl(embedUrl));
+  }
+
+  /**
+   * Podcast episode links get a compact button; the type attribute, when
+   * given, tells audio episodes from video ones
+   */
+  function attachOverlayToEnclosure(link) {
+    if (link.dataset.vidpullAttached) return;
+    
+    const audio = link.type ? link.type.startsWith('audio/') : isAudioUrl(link.href);
+    attachOverlay(link, () => link.href, null, audio);
   }
 
   /**
-   * Attach overlay to any element
-   * @param {HTMLElement} element - The video or iframe element
+   * Attach overlay to any element. The element is tracked from now on, but its
+   * button is only built while it is on (or near) the screen.
+   * @param {HTMLElement} element - The video, audio, iframe or episode link element
    * @param {Function} getUrl - Function that returns the URL to download (called at click time)
+   * @param {HTMLMediaElement} [media] - The video or audio being downloaded,
+   *   when the overlay sits on another element (e.g. the frame it plays in)
+   * @param {boolean} [audio] - Download as audio only by default
    */
-  function attachOverlay(element, getUrl) {
+  function attachOverlay(
+    element,
+    getUrl,
+    media = element.tagName === 'VIDEO' || element.tagName === 'AUDIO' ? element : null,
+    audio = media?.tagName === 'AUDIO'
+  ) {
     element.dataset.vidpullAttached = 'true';
+    if (media) {
+      media.dataset.vidpullAttached = 'true';
+    }
+    
+    trackedElements.set(element, { getUrl, media, audio, container: null });
+    trackedRefs.add(new WeakRef(element));
+    getIntersectionObserver().observe(element);
+  }
 
+  /**
+   * Build the button, format chip and menus for a tracked element
+   * @returns {HTMLElement} The overlay container
+   */
+  function createOverlay(element, getUrl, media, audio) {
     const container = document.createElement('div');
     container.className = CONTAINER_CLASS;
     
     const button = document.createElement('button');
+    button.type = 'button';
     button.className = OVERLAY_CLASS;
-    button.title = 'Download with VidPull (drag to reposition)';
+    setButtonLabel(button, BUTTON_TITLE);
     button.innerHTML = `
-      <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <svg class="vidpull-icon vidpull-icon-download" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
         <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
         <polyline points="7 10 12 15 17 10"/>
         <line x1="12" y1="15" x2="12" y2="3"/>
       </svg>
+      <svg class="vidpull-icon vidpull-icon-done" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <polyline points="20 6 9 17 4 12"/>
+      </svg>
+      <svg class="vidpull-icon vidpull-icon-error" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <line x1="12" y1="7" x2="12" y2="13"/>
+        <line x1="12" y1="17" x2="12.01" y2="17"/>
+      </svg>
+      <svg class="vidpull-progress-ring" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 40 40">
+        <circle class="vidpull-progress-track" cx="20" cy="20" r="18"/>
+        <circle class="vidpull-progress-value" cx="20" cy="20" r="18" stroke-dasharray="${RING_CIRCUMFERENCE}" stroke-dashoffset="${RING_CIRCUMFERENCE}"/>
+      </svg>
+      <span class="vidpull-progress-label" aria-hidden="true"></span>
     `;
     
+    container._button = button;
     container._video = element;
+    container._media = media;
     container._getUrl = getUrl;
+    container._audio = audio;
+    // Decided once, so the overlay doesn't change shape as the player resizes
+    container._compact = (audio || element.tagName === 'A') && element.getBoundingClientRect().height < COMPACT_MAX_HEIGHT;
+    container.classList.toggle(COMPACT_CLASS, container._compact);
+    
+    const formatChip = document.createElement('button');
+    formatChip.type = 'button';
+    formatChip.className = 'vidpull-format-chip';
+    formatChip.setAttribute('aria-haspopup', 'menu');
+    formatChip.setAttribute('aria-expanded', 'false');
+    setFormatChipLabel(formatChip, getOverlayFormat(container));
+    
+    const menu = createFormatMenu(container, (format) => {
+      // Audio overlays always start from audio only, so their picks aren't
+      // remembered as the site's format
+      if (!audio) setSiteFormat(format);
+      download(container, format);
+    });
+    
+    formatChip.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    });
+    formatChip.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      toggleFormatMenu(container);
+    });
+    
+    const statusMessage = document.createElement('div');
+    statusMessage.className = 'vidpull-status-message';
+    statusMessage.setAttribute('role', 'status');
+    
+    // Shown while downloads from this overlay carry the user's login cookies
+    const cookieBadge = document.createElement('span');
+    cookieBadge.className = 'vidpull-cookie-badge';
+    cookieBadge.setAttribute('aria-hidden', 'true');
+    cookieBadge.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
+        <circle cx="7.5" cy="15.5" r="5.5"/>
+        <path d="M21 2l-9.6 9.6"/>
+        <path d="M15.5 7.5l3 3L22 7l-3-3"/>
+      </svg>
+    `;
+    
+    // Shown once the video has been sent before
+    const sentBadge = document.createElement('span');
+    sentBadge.className = 'vidpull-sent-badge';
+    sentBadge.setAttribute('aria-hidden', 'true');
+    sentBadge.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">
+        <polyline points="20 6 9 17 4 12"/>
+      </svg>
+    `;
+    
+    // Embeds download from their own site, so its cookie setting applies
+    container._site = element.tagName === 'IFRAME' ? getSiteKey(getUrl()) : currentSite;
+    container._cookieBadge = cookieBadge;
+    container._sentBadge = sentBadge;
+    container._statusMessage = statusMessage;
+    container._formatChip = formatChip;
+    container._menu = menu;
     
     setupDrag(button, container, element);
     
@@ -466,53 +761,1805 @@
       e.preventDefault();
       e.stopPropagation();
       
-      // Get URL at click time (dynamic)
-      const url = container._getUrl();
-      const encodedUrl = encodeURIComponent(url);
-      const vidpullUrl = `vidpull://download?url=${encodedUrl}`;
-      
-      console.log('[VidPull] Downloading:', url);
-      window.location.href = vidpullUrl;
+      closeMenus(container);
+      if (e.shiftKey) {
+        openInspector(container);
+      } else {
+        download(container, getOverlayFormat(container));
+      }
     });
     
     button._setDragging = (val) => { isDragging = val; };
+    setupLongPress(button, () => openInspector(container));
+    
+    // Keyboard focus moving off the highlighted video's overlay ends the highlight
+    container.addEventListener('focusout', (e) => {
+      if (container._video === highlightedElement && !container.contains(e.relatedTarget)) {
+        clearHighlight();
+      }
+    });
 
     container.appendChild(button);
-    positionOverlay(element, container);
+    container.appendChild(formatChip);
+    container.appendChild(cookieBadge);
+    container.appendChild(sentBadge);
+    container.appendChild(statusMessage);
+    updateCookieIndicator(container);
+    updateSentIndicator(container);
+    container.appendChild(menu);
     
-    const parent = element.parentElement;
-    if (parent) {
-      const parentPosition = window.getComputedStyle(parent).position;
-      if (parentPosition === 'static') {
-        parent.style.position = 'relative';
-      }
-      parent.appendChild(container);
+    // Keyboard focus brings back an overlay that faded out
+    container.addEventListener('focusin', () => wakeOverlay(container));
+    
+    if (media && media.getRootNode().pictureInPictureElement === media) {
+      container._docked = true;
+      container.classList.add(DOCKED_CLASS);
     }
+    placeOverlay(container);
 
     container.style.display = overlaysVisible ? 'block' : 'none';
+    overlayContainers.add(container);
+    wakeOverlay(container);
+    
+    return container;
+  }
 
-    const resizeObserver = new ResizeObserver(() => {
-      positionOverlay(element, container);
-    });
-    resizeObserver.observe(element);
+  function destroyOverlay(container) {
+    closeMenus(container);
+    closeClipMode(container);
+    clearTimeout(container._stateResetTimer);
+    clearTimeout(container._idleTimer);
+    container.remove();
+    overlayContainers.delete(container);
+    pendingRepositions.delete(container);
+  }
+
+  // Overlay lifecycle: one MutationObserver (domObserver), one ResizeObserver
+  // and one IntersectionObserver serve every tracked element, however long the
+  // feed gets. Elements are looked up in a WeakMap and swept through WeakRefs,
+  // so tracking never keeps removed nodes alive.
+
+  // Build buttons a little before videos scroll into view
+  const VIEWPORT_MARGIN = '200px';
+  
+  // element -> { getUrl, media, container }
+  let trackedElements = new WeakMap();
+  let trackedRefs = new Set();
+  let intersectionObserver = null;
+  let resizeObserver = null;
+  const pendingRepositions = new Set();
+  let repositionFrame = null;
+  let sweepFrame = null;
+
+  function getIntersectionObserver() {
+    if (!intersectionObserver) {
+      intersectionObserver = new IntersectionObserver(onIntersection, { rootMargin: VIEWPORT_MARGIN });
+    }
+    return intersectionObserver;
+  }
+
+  function getResizeObserver() {
+    if (!resizeObserver) {
+      resizeObserver = new ResizeObserver((entries) => {
+        entries.forEach(({ target }) => {
+          const container = trackedElements.get(target)?.container;
+          if (container) scheduleReposition(container);
+        });
+      });
+    }
+    return resizeObserver;
+  }
 
-    const mutationObserver = new MutationObserver(() => {
-      if (!document.contains(element)) {
-        container.remove();
-        resizeObserver.disconnect();
-        mutationObserver.disconnect();
+  /**
+   * Build overlays for elements coming on screen and drop idle ones that left
+   */
+  function onIntersection(entries) {
+    const created = [];
+    entries.forEach(({ target, isIntersecting }) => {
+      const record = trackedElements.get(target);
+      if (!record) return;
+      
+      if (isIntersecting && !record.container) {
+        record.container = createOverlay(target, record.getUrl, record.media, record.audio);
+        getResizeObserver().observe(target);
+        created.push(record.container);
+      } else if (!isIntersecting && record.container && !isOverlayBusy(record.container)) {
+        destroyOverlay(record.container);
+        record.container = null;
+        getResizeObserver().unobserve(target);
       }
     });
-    mutationObserver.observe(document.body, { childList: true, subtree: true });
+    
+    // Place new overlays right away so they don't flash at the corner
+    positionOverlays(created);
+    
+    // The highlighted video was scrolled to before it had an overlay
+    const highlighted = created.find(container => container._video === highlightedElement);
+    if (highlighted) {
+      focusOverlay(highlighted);
+    }
   }
 
-  function setupDrag(button, container, video) {
-    let startX, startY, startLeft, startTop, hasMoved = false;
+  /**
+   * The element's overlay, built now if it is off screen
+   */
+  function ensureOverlay(element) {
+    const record = trackedElements.get(element);
+    if (!record.container) {
+      record.container = createOverlay(element, record.getUrl, record.media, record.audio);
+      getResizeObserver().observe(element);
+      positionOverlays([record.container]);
+    }
+    return record.container;
+  }
 
-    button.addEventListener('mousedown', (e) => {
-      if (e.button !== 0) return;
+  /**
+   * Overlays showing a download, a menu or clip mode, or docked for a video
+   * in picture-in-picture, stay while off screen
+   */
+  function isOverlayBusy(container) {
+    return container._state === 'queued' ||
+      container._state === 'progress' ||
+      container._docked ||
+      container._video === highlightedElement ||
+      !!container._clipPanel ||
+      !!container._choiceMenu ||
+      container._menu.style.display !== 'none';
+  }
+
+  function untrackElement(element) {
+    if (element === highlightedElement) {
+      clearHighlight();
+    }
+    const record = trackedElements.get(element);
+    if (record?.container) {
+      destroyOverlay(record.container);
+    }
+    intersectionObserver?.unobserve(element);
+    resizeObserver?.unobserve(element);
+    trackedElements.delete(element);
+    
+    // Let the element be picked up again if it is put back in the page
+    delete element.dataset.vidpullAttached;
+    if (record?.media) {
+      delete record.media.dataset.vidpullAttached;
+    }
+  }
+
+  /**
+   * Forget elements that left the page and follow ones that moved; run once
+   * per frame after removals
+   */
+  function scheduleSweep() {
+    if (sweepFrame) return;
+    sweepFrame = requestFrame(() => {
+      sweepFrame = null;
+      trackedRefs.forEach((ref) => {
+        const element = ref.deref();
+        const record = element && trackedElements.get(element);
+        if (!record) {
+          trackedRefs.delete(ref);
+        } else if (!element.isConnected || (record.media && !record.media.isConnected)) {
+          untrackElement(element);
+          trackedRefs.delete(ref);
+        } else if (record.container && record.container.parentNode !== getOverlayHost(record.container)) {
+          // The player moved the element, or dropped its overlay with a
+          // re-render; positioning puts the overlay back next to it
+          scheduleReposition(record.container);
+        }
+      });
+    });
+  }
+
+  /**
+   * Reposition overlays in one batch on the next frame, measuring all of them
+   * before moving any so the browser lays out once
+   */
+  function scheduleReposition(container) {
+    pendingRepositions.add(container);
+    if (repositionFrame) return;
+    repositionFrame = requestFrame(() => {
+      repositionFrame = null;
+      const containers = Array.from(pendingRepositions);
+      pendingRepositions.clear();
+      positionOverlays(containers);
+    });
+  }
+
+  function positionOverlays(containers) {
+    containers.forEach(placeOverlay);
+    const positions = containers.map(measureOverlay);
+    containers.forEach((container, index) => {
+      if (positions[index]) applyOverlayPosition(container, positions[index]);
+    });
+  }
+
+  /**
+   * requestAnimationFrame from a window that is still painting: this tab's
+   * stops while it is in the background, but overlays in a Document
+   * Picture-in-Picture window are still on screen then
+   */
+  function requestFrame(callback) {
+    const view = document.hidden && pictureInPictureWindow ? pictureInPictureWindow : window;
+    return view.requestAnimationFrame(callback);
+  }
+
+  /**
+   * Where an overlay belongs: in the fullscreen element while its video is
+   * shown fullscreen, so the player's own layers and clipping can't hide it,
+   * docked on the page while the video is in picture-in-picture, and next to
+   * the video otherwise
+   * @returns {Element|ShadowRoot|null}
+   */
+  function getOverlayHost(container) {
+    const element = container._video;
+    if (container._docked) return element.ownerDocument.body;
+    
+    const fullscreen = getFullscreenAncestor(element);
+    if (!fullscreen) return element.parentElement;
+    // Only what is in a player's shadow tree shows inside it
+    return fullscreen.shadowRoot && !fullscreen.contains(element) ? fullscreen.shadowRoot : fullscreen;
+  }
+
+  /**
+   * The fullscreen element containing element, or null when nothing is
+   * fullscreen, something else is, or element itself is (the browser shows
+   * nothing over a fullscreen video)
+   */
+  function getFullscreenAncestor(element) {
+    for (let root = element.getRootNode(); root; root = root.host?.getRootNode()) {
+      const fullscreen = root.fullscreenElement;
+      if (!fullscreen) continue;
+      if (fullscreen === element) return null;
+    
+      for (let node = element; node; node = node.parentNode || node.host) {
+        if (node === fullscreen) return fullscreen;
+      }
+      return null;
+    }
+    return null;
+  }
+
+  /**
+   * Move an overlay to its host when the page re-parented its element, the
+   * video went in or out of fullscreen or picture-in-picture, or the overlay
+   * was removed
+   */
+  function placeOverlay(container) {
+    const host = getOverlayHost(container);
+    if (!host || container.parentNode === host) return;
+    
+    if (host.nodeType === Node.ELEMENT_NODE && !container._docked) {
+      const hostPosition = host.ownerDocument.defaultView.getComputedStyle(host).position;
+      if (hostPosition === 'static') {
+        host.style.position = 'relative';
+      }
+    }
+    ensureShadowStyles(host.getRootNode());
+    host.appendChild(container);
+  }
+
+  /**
+   * The element an overlay's position is relative to
+   */
+  function getPositionParent(container) {
+    const parent = container.parentNode;
+    return parent?.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? parent.host : parent;
+  }
+
+  /**
+   * Page styles don't reach into shadow roots, so give them the overlay styles
+   */
+  function ensureShadowStyles(root) {
+    if (!(root instanceof ShadowRoot) || root.querySelector('link[data-vidpull-styles]')) return;
+    appendStyles(root);
+  }
+
+  /**
+   * Add the overlay styles to a shadow root or a document's <head>
+   */
+  function appendStyles(parent) {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = browser.runtime.getURL('styles.css');
+    link.dataset.vidpullStyles = 'true';
+    parent.appendChild(link);
+  }
+
+  /**
+   * Resolve the overlay's URL and hand it off to the VidPull app
+   */
+  function download(container, format) {
+    // A download for this overlay is already on its way
+    if (container._state === 'queued' || container._state === 'progress') return;
+    
+    // Sent before: the first press says when, pressing again sends it anyway
+    const sent = getSentEntry(container);
+    if (sent && container._state !== 'confirm') {
+      closeMenus(container);
+      setOverlayState(container, 'confirm', {
+        message: `Already sent ${formatTimestamp(sent.timestamp)}. Press again to send it again.`
+      });
+      return;
+    }
+    
+    // Watching inside a playlist or on a channel page: ask which one is meant
+    const collection = !getClipRange(container) &&
+      findCollection(container._media || container._video, { document, location: window.location });
+    if (collection) {
+      openCollectionMenu(container, collection, format);
+      return;
+    }
+    
+    downloadVideo(container, format);
+  }
+
+  /**
+   * Send the single video an overlay belongs to
+   */
+  function downloadVideo(container, format) {
+    if (debugMode) {
+      logResolution(container);
+    }
+    
+    // Blob-backed players with no known permalink would only give us the page
+    // URL, so offer the streams the page loaded instead
+    const video = container._media;
+    if (video && isBlobBacked(video)) {
+      const { url, strategy } = resolveVideoUrl(video);
+      if (strategy === 'page') {
+        getCapturedStreams().then((streams) => {
+          if (streams.length > 0) {
+            openStreamMenu(container, streams, url, format);
+          } else {
+            startDownload(container, url, format);
+          }
+        });
+        return;
+      }
+    }
+    
+    // Get URL at click time (dynamic)
+    startDownload(container, container._getUrl(), format);
+  }
+
+  /**
+   * Debug mode: log every step of resolving an overlay's URL, misses included
+   */
+  function logResolution(container) {
+    const trace = [];
+    if (container._media) {
+      resolveVideoUrl(container._media, trace);
+    } else {
+      trace.push(`${container._video.tagName === 'IFRAME' ? 'embed' : 'link'}: ${container._getUrl()}`);
+    }
+    console.log('[VidPull] Resolved URL for', container._video, `\n  ${trace.join('\n  ')}`);
+  }
+
+  /**
+   * Send a resolved URL and track its progress on the overlay
+   * @param {Object} [options] - Extra hand-off parameters, e.g. { headers }
+   */
+  function startDownload(container, url, format, options = {}) {
+    const clip = getClipRange(container);
+    if (clip) {
+      options = { ...options, clip };
+    }
+    const extras = getDownloadExtras(container);
+    if (extras) {
+      options = { ...options, extras };
+    }
+    // A playlist or channel isn't described by the video playing from it
+    const metadata = !options.playlist && getVideoMetadata(container._media || container._video, options.headers ? null : url);
+    if (metadata) {
+      options = { ...options, metadata };
+    }
+    
+    container._resolvedUrl = cleanVideoUrl(url);
+    container._resolvedUrlAt = Date.now();
+    
+    console.log('[VidPull] Downloading:', url, format);
+    setOverlayState(container, 'queued');
+    
+    sendDownload(url, format, options).then((result) => {
+      if (result.job) {
+        container._jobId = result.job.jobId;
+        applyJobUpdate(result.job);
+      } else if (result.error) {
+        setOverlayState(container, 'error', { message: result.error });
+      } else if (result.command) {
+        copyText(result.command).then((copied) => {
+          setOverlayState(container, copied ? 'done' : 'error', {
+            message: copied ? 'yt-dlp command copied' : 'Could not copy the yt-dlp command'
+          });
+        });
+      } else {
+        // Handed to the app via URL scheme or to a yt-dlp server, no progress will follow
+        setOverlayState(container, 'done', { message: result.message || 'Sent to VidPull' });
+      }
+    });
+  }
+
+  /**
+   * What the page shows about a video, for filename templates
+   * @param {string} [url] - The video's URL; captured streams pass none and
+   *   are matched against the page they play on
+   */
+  function getVideoMetadata(media, url) {
+    const ownerDocument = media.ownerDocument;
+    const ownerLocation = ownerDocument.defaultView?.location || window.location;
+    const metadata = findMetadata(media, { document: ownerDocument, location: ownerLocation }, url || ownerLocation.href);
+    
+    // Live streams report an infinite duration
+    if (Number.isFinite(media.duration) && media.duration > 0 && !metadata?.duration) {
+      return { ...metadata, duration: Math.round(media.duration) };
+    }
+    return metadata;
+  }
+
+  /**
+   * Ask the background script to pass the download to the site's send target,
+   * falling back to the vidpull:// URL scheme when the app has no native host
+   * @returns {Promise<{job?: Object, command?: string, message?: string, error?: string}>}
+   */
+  function sendDownload(url, format, options = {}) {
+    return browser.runtime.sendMessage({
+      action: 'download',
+      url,
+      format,
+      title: document.title,
+      target: getSiteTarget(),
+      ...options
+    }).then((response) => {
+      if (response?.fallback) {
+        window.location.href = buildDeepLink(url, format, { ...options, output: response.output });
+        return {};
+      }
+      if (response && !response.ok) {
+        console.warn('[VidPull] Download failed:', response.error);
+        return { error: response.error || 'Download failed' };
+      }
+      return { job: response?.job, command: response?.command, message: response?.message };
+    }).catch(() => {
+      // Background unreachable (e.g. extension reloaded), use the URL scheme
+      window.location.href = buildDeepLink(url, format, options);
+      return {};
+    });
+  }
+
+  /**
+   * Put text on the clipboard, with a selection copy for pages whose
+   * permissions policy blocks the async clipboard
+   * @returns {Promise<boolean>} Whether it was copied
+   */
+  function copyText(text) {
+    return navigator.clipboard.writeText(text).then(() => true).catch(() => {
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.style.cssText = 'position: fixed; top: 0; left: 0; opacity: 0;';
+      document.documentElement.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
+      return copied;
+    });
+  }
+
+  /**
+   * Stream URLs the background script saw this tab request, best first
+   */
+  function getCapturedStreams() {
+    return browser.runtime.sendMessage({ action: 'get-captured-streams' })
+      .then((response) => response?.streams || [])
+      .catch(() => []);
+  }
+
+  /**
+   * Whether a video plays from a MediaSource/blob rather than a real URL
+   */
+  function isBlobBacked(video) {
+    const src = video.currentSrc || video.src;
+    return (src && src.startsWith('blob:')) || !!video.srcObject;
+  }
+
+  /**
+   * Show a job update from the app on every overlay it belongs to
+   */
+  function applyJobUpdate(job) {
+    if (!job) return;
+    const jobUrl = cleanVideoUrl(job.url);
+    
+    overlayContainers.forEach(container => {
+      if (container._jobId !== job.jobId && getContainerUrl(container) !== jobUrl) return;
+      
+      container._jobId = job.jobId;
+      switch (job.state) {
+        case 'queued':
+          setOverlayState(container, 'queued');
+          break;
+        case 'downloading':
+          setOverlayState(container, 'progress', { percent: job.percent });
+          break;
+        case 'completed':
+          setOverlayState(container, 'done', { message: 'Downloaded' });
+          break;
+        case 'failed':
+          setOverlayState(container, 'error', { message: job.error || 'Download failed' });
+          break;
+        default:
+          setOverlayState(container, null);
+      }
+    });
+  }
+
+  /**
+   * The overlay's cleaned URL, cached briefly so progress updates don't
+   * re-run URL resolution for every overlay on each tick
+   */
+  function getContainerUrl(container) {
+    if (!container._resolvedUrl || Date.now() - container._resolvedUrlAt > RESOLVED_URL_TTL_MS) {
+      try {
+        container._resolvedUrl = cleanVideoUrl(container._getUrl());
+      } catch (e) {
+        container._resolvedUrl = null;
+      }
+      container._resolvedUrlAt = Date.now();
+    }
+    return container._resolvedUrl;
+  }
+
+  /**
+   * Switch the overlay button between idle, queued, progress, done and error
+   * @param {HTMLElement} container - The overlay container
+   * @param {string|null} state - One of OVERLAY_STATES, or null for idle
+   * @param {Object} [detail] - { percent } for progress, { message } for done/error
+   */
+  function setOverlayState(container, state, detail = {}) {
+    const button = container._button;
+    if (!button) return;
+    
+    clearTimeout(container._stateResetTimer);
+    container._state = state;
+    wakeOverlay(container);
+    OVERLAY_STATES.forEach(s => button.classList.toggle(`vidpull-state-${s}`, s === state));
+    
+    switch (state) {
+      case 'queued':
+        setButtonLabel(button, 'Queued in VidPull');
+        break;
+      case 'progress': {
+        const percent = Math.max(0, Math.min(100, Math.round(detail.percent || 0)));
+        button.querySelector('.vidpull-progress-value').style.strokeDashoffset =
+          `${RING_CIRCUMFERENCE * (1 - percent / 100)}`;
+        button.querySelector('.vidpull-progress-label').textContent = `${percent}%`;
+        setButtonLabel(button, `Downloading with VidPull (${percent}%)`);
+        break;
+      }
+      case 'done':
+        setButtonLabel(button, detail.message || 'Downloaded');
+        break;
+      case 'error':
+        setButtonLabel(button, `VidPull: ${detail.message || 'Download failed'}`);
+        break;
+      case 'confirm':
+        setButtonLabel(button, detail.message);
+        break;
+      default:
+        setButtonLabel(button, getIdleTitle(container));
+    }
+    
+    if (container._statusMessage) {
+      const message = state === 'error' ? (detail.message || 'Download failed') : state === 'confirm' ? detail.message : '';
+      container._statusMessage.textContent = message;
+      container._statusMessage.style.display = message ? 'block' : 'none';
+      container._statusMessage.classList.toggle('vidpull-status-confirm', state === 'confirm');
+    }
+    
+    // Finished states and unanswered confirmations fade back to the normal
+    // button after a while
+    if (state === 'done' || state === 'error' || state === 'confirm') {
+      container._stateResetTimer = setTimeout(() => setOverlayState(container, null), STATE_RESET_MS);
+    }
+  }
+
+  /**
+   * The button has only icons, so its tooltip doubles as its accessible name
+   */
+  function setButtonLabel(button, label) {
+    button.title = label;
+    button.setAttribute('aria-label', label);
+  }
+
+  /**
+   * Format on the chip, with a "+" while the site has extras switched on
+   */
+  function setFormatChipLabel(chip, format) {
+    const label = getFormatLabel(format);
+    const extras = formatExtras(getSiteExtras());
+    chip.textContent = extras ? `${label}+` : label;
+    chip.title = extras ? `Choose download format (with ${extras})` : 'Choose download format';
+    chip.setAttribute('aria-label', extras ? `Download format: ${label}, with ${extras}` : `Download format: ${label}`);
+  }
+
+  /**
+   * Build the format dropdown shown next to the overlay button
+   * @param {HTMLElement} container - The overlay container the menu belongs to
+   * @param {Function} onPick - Called with the chosen format id
+   */
+  function createFormatMenu(container, onPick) {
+    const menu = document.createElement('div');
+    menu.className = MENU_CLASS;
+    menu.style.display = 'none';
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('aria-label', 'Download as');
+    
+    const heading = document.createElement('div');
+    heading.className = 'vidpull-format-menu-heading';
+    heading.setAttribute('aria-hidden', 'true');
+    heading.textContent = 'Download as';
+    menu.appendChild(heading);
+    
+    // Number keys pick formats in menu order (see onTargetKey)
+    FORMATS.forEach(({ id, label }, index) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'vidpull-format-menu-item';
+      item.dataset.format = id;
+      item.setAttribute('role', 'menuitemradio');
+      item.setAttribute('aria-keyshortcuts', String(index + 1));
+      
+      const keyHint = document.createElement('span');
+      keyHint.className = 'vidpull-key-hint';
+      keyHint.setAttribute('aria-hidden', 'true');
+      keyHint.textContent = String(index + 1);
+      item.append(keyHint, label);
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      });
+      item.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        closeMenus(container);
+        onPick(id);
+      });
+      menu.appendChild(item);
+    });
+    
+    // Time ranges only make sense where we can read the player's position
+    if (container._media) {
+      const clipItem = document.createElement('button');
+      clipItem.type = 'button';
+      clipItem.className = 'vidpull-format-menu-item vidpull-clip-menu-item';
+      clipItem.setAttribute('role', 'menuitem');
+      clipItem.textContent = 'Clip\u2026';
+      clipItem.title = 'Download only part of the video';
+      clipItem.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      });
+      clipItem.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        closeMenus(container);
+        toggleClipMode(container);
+      });
+      menu.appendChild(clipItem);
+    }
+    
+    menu.appendChild(createExtrasGroup(container));
+    menu.appendChild(createTargetGroup(container));
+    
+    // Keep clicks inside the menu away from the page's player
+    menu.addEventListener('click', (e) => e.stopPropagation());
+    
+    return menu;
+  }
+
+  function toggleFormatMenu(container) {
+    if (container._menu.style.display === 'none') {
+      openFormatMenu(container);
+    } else {
+      closeMenus(container);
+    }
+  }
+
+  function openFormatMenu(container) {
+    const menu = container._menu;
+    const current = getOverlayFormat(container);
+    menu.querySelectorAll('.vidpull-format-menu-item[data-format]').forEach(item => {
+      const selected = item.dataset.format === current;
+      item.classList.toggle('vidpull-selected', selected);
+      item.setAttribute('aria-checked', String(selected));
+    });
+    updateExtrasGroup(container);
+    updateTargetGroup(container);
+    showMenu(container, menu);
+    container._formatChip.setAttribute('aria-expanded', 'true');
+  }
+
+  /**
+   * Extras section of the format menu; choices are remembered per site, like
+   * the format, and toggling them keeps the menu open
+   */
+  function createExtrasGroup(container) {
+    const group = document.createElement('div');
+    group.className = 'vidpull-extras';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', 'Extras');
+    
+    const heading = document.createElement('div');
+    heading.className = 'vidpull-format-menu-heading';
+    heading.setAttribute('aria-hidden', 'true');
+    heading.textContent = 'Extras';
+    group.appendChild(heading);
+    
+    EXTRAS.forEach(({ id, label }) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'vidpull-format-menu-item';
+      item.dataset.extra = id;
+      item.setAttribute('role', 'menuitemcheckbox');
+      item.textContent = label;
+      group.appendChild(item);
+      
+      if (id === 'subtitles') {
+        const languages = document.createElement('div');
+        languages.className = 'vidpull-subtitle-languages';
+        languages.setAttribute('aria-label', 'Subtitle languages');
+        group.appendChild(languages);
+      }
+    });
+    
+    group.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    });
+    group.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const extra = e.target.closest('[data-extra]')?.dataset.extra;
+      const language = e.target.closest('[data-language]')?.dataset.language;
+      if (extra) {
+        toggleExtra(container, extra);
+      } else if (language) {
+        toggleSubtitleLanguage(container, language);
+      }
+    });
+    
+    return group;
+  }
+
+  function updateExtrasGroup(container) {
+    const menu = container._menu;
+    const extras = getSiteExtras();
+    menu.querySelectorAll('[data-extra]').forEach((item) => {
+      const checked = !!extras[item.dataset.extra];
+      item.classList.toggle('vidpull-selected', checked);
+      item.setAttribute('aria-checked', String(checked));
+    });
+    
+    // Chips for the languages the video offers, plus any picked on other videos
+    const selected = extras.subtitles ? getSubtitleLanguages(container) : [];
+    const offered = Array.from(new Set([...detectSubtitleLanguages(container), ...selected]));
+    const row = menu.querySelector('.vidpull-subtitle-languages');
+    row.style.display = extras.subtitles && offered.length > 0 ? 'flex' : 'none';
+    row.replaceChildren(...offered.map((language) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'vidpull-subtitle-language';
+      chip.dataset.language = language;
+      chip.textContent = language;
+      chip.classList.toggle('vidpull-selected', selected.includes(language));
+      chip.setAttribute('aria-pressed', String(selected.includes(language)));
+      return chip;
+    }));
+  }
+
+  function toggleExtra(container, extra) {
+    const extras = { ...getSiteExtras() };
+    if (extra === 'subtitles') {
+      // An empty list sends whatever languages each video offers
+      extras.subtitles = extras.subtitles ? undefined : [];
+    } else {
+      extras[extra] = !extras[extra] || undefined;
+    }
+    setSiteExtras(extras);
+    updateExtrasGroup(container);
+  }
+
+  function toggleSubtitleLanguage(container, language) {
+    const selected = getSubtitleLanguages(container);
+    const languages = selected.includes(language)
+      ? selected.filter(selectedLanguage => selectedLanguage !== language)
+      : [...selected, language];
+    // Unpicking the last language turns subtitles off instead of back to "all"
+    setSiteExtras({ ...getSiteExtras(), subtitles: languages.length > 0 ? languages : undefined });
+    updateExtrasGroup(container);
+  }
+
+  /**
+   * "Send to" section of the format menu, picking the site's send target
+   */
+  function createTargetGroup(container) {
+    const group = document.createElement('div');
+    group.className = 'vidpull-targets';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', 'Send to');
+    
+    const heading = document.createElement('div');
+    heading.className = 'vidpull-format-menu-heading';
+    heading.setAttribute('aria-hidden', 'true');
+    heading.textContent = 'Send to';
+    group.appendChild(heading);
+    
+    SEND_TARGETS.forEach(({ id, label }) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'vidpull-format-menu-item';
+      item.dataset.target = id;
+      item.setAttribute('role', 'menuitemradio');
+      item.textContent = label;
+      group.appendChild(item);
+    });
+    
+    group.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    });
+    group.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const target = e.target.closest('[data-target]')?.dataset.target;
+      if (!target) return;
+      setSiteTarget(target);
+      updateTargetGroup(container);
+    });
+    
+    return group;
+  }
+
+  function updateTargetGroup(container) {
+    const current = getSiteTarget();
+    container._menu.querySelectorAll('[data-target]').forEach((item) => {
+      const selected = item.dataset.target === current;
+      item.classList.toggle('vidpull-selected', selected);
+      item.setAttribute('aria-checked', String(selected));
+    });
+  }
+
+  /**
+   * Subtitle languages a video offers: its text tracks (<track> elements and
+   * tracks the player added), or else the page's language. Embeds are left
+   * to the app, since the embedding page's language says little about them.
+   */
+  function detectSubtitleLanguages(container) {
+    const media = container._media;
+    if (!media) return [];
+    
+    const languages = new Set();
+    Array.from(media.textTracks || []).forEach((track) => {
+      const language = track.language.toLowerCase();
+      if ((track.kind === 'subtitles' || track.kind === 'captions') && isLanguageCode(language)) {
+        languages.add(language);
+      }
+    });
+    if (languages.size === 0) {
+      const pageLanguage = (media.ownerDocument.documentElement.lang || '').split('-')[0].toLowerCase();
+      if (isLanguageCode(pageLanguage)) languages.add(pageLanguage);
+    }
+    return Array.from(languages);
+  }
+
+  /**
+   * Languages picked for the site, or else the ones the video offers
+   */
+  function getSubtitleLanguages(container) {
+    const picked = getSiteExtras().subtitles;
+    return picked?.length ? picked : detectSubtitleLanguages(container);
+  }
+
+  /**
+   * The site's extras with subtitle languages filled in for this video
+   */
+  function getDownloadExtras(container) {
+    const extras = getSiteExtras();
+    return normalizeExtras(extras.subtitles ? { ...extras, subtitles: getSubtitleLanguages(container) } : extras);
+  }
+
+  /**
+   * Show one of the overlay's menus, closing it again on clicks elsewhere
+   */
+  function showMenu(container, menu) {
+    closeMenus(container);
+    alignToVideo(container, menu);
+    menu.style.display = 'block';
+    
+    container._closeOnOutsideClick = (e) => {
+      if (!container.contains(e.target)) {
+        closeMenus(container);
+      }
+    };
+    container.ownerDocument.addEventListener('mousedown', container._closeOnOutsideClick, true);
+  }
+
+  /**
+   * Open a popup element towards the side of the video that has room for it
+   */
+  function alignToVideo(container, element) {
+    const containerRect = container.getBoundingClientRect();
+    // A docked overlay is in the corner of the window, and compact ones are
+    // too small for their menus, which open wherever the window has room
+    const videoRect = container._docked || container._compact
+      ? { left: 0, bottom: container.ownerDocument.defaultView.innerHeight }
+      : container._video.getBoundingClientRect();
+    element.classList.toggle('vidpull-menu-align-left', containerRect.left - videoRect.left < 120);
+    element.classList.toggle('vidpull-menu-above', videoRect.bottom - containerRect.bottom < 200);
+  }
+
+  function closeMenus(container) {
+    if (!container._menu) return;
+    container._menu.style.display = 'none';
+    container._formatChip.setAttribute('aria-expanded', 'false');
+    container._choiceMenu?.remove();
+    container._choiceMenu = null;
+    clearCandidateSource();
+    if (container._closeOnOutsideClick) {
+      container.ownerDocument.removeEventListener('mousedown', container._closeOnOutsideClick, true);
+      container._closeOnOutsideClick = null;
+    }
+  }
+
+  /**
+   * Let the user pick one of the HLS/DASH/media requests the background script
+   * captured for this tab, for players that only expose a blob: URL
+   * @param {HTMLElement} container - The overlay container
+   * @param {Array<Object>} streams - Ranked streams from the background script
+   * @param {string} pageUrl - The page URL fallback
+   * @param {string} format - Format to send with the chosen URL
+   */
+  function openStreamMenu(container, streams, pageUrl, format) {
+    const choices = streams.map(stream => ({
+      label: stream.label,
+      title: stream.url,
+      onPick: () => startDownload(container, stream.url, format, { headers: stream.headers })
+    }));
+    choices.push({ label: 'Page URL', title: pageUrl, onPick: () => startDownload(container, pageUrl, format) });
+    
+    openChoiceMenu(container, 'Captured streams', choices, 'vidpull-stream-menu');
+  }
+
+  /**
+   * Ask whether to send just this video or the playlist/channel it's part of,
+   * optionally limited to a range of items
+   */
+  function openCollectionMenu(container, collection, format) {
+    const countLabel = collection.count ? ` (${collection.count} items)` : '';
+    
+    const menu = openChoiceMenu(container, 'Send', [
+      { label: 'This video', onPick: () => downloadVideo(container, format) },
+      {
+        label: `Entire ${collection.kind}${countLabel}`,
+        title: collection.title || collection.url,
+        onPick: () => startDownload(container, collection.url, format, {
+          playlist: true,
+          items: getItemRange(menu)
+        })
+      }
+    ], 'vidpull-collection-menu');
+    
+    const range = document.createElement('div');
+    range.className = 'vidpull-item-range';
+    range.innerHTML = `
+      <span>Items</span>
+      <input type="number" min="1" placeholder="1" data-range="from" aria-label="First item">
+      <span>\u2013</span>
+      <input type="number" min="1" placeholder="${collection.count || 'last'}" data-range="to" aria-label="Last item">
+    `;
+    // Typing a number shouldn't reach the player's keyboard shortcuts
+    range.addEventListener('keydown', (e) => e.stopPropagation());
+    range.addEventListener('mousedown', (e) => e.stopPropagation());
+    menu.appendChild(range);
+  }
+
+  /**
+   * Item range from the collection menu as a yt-dlp playlist item spec
+   * ("3:10", "5:"), or null for the whole list
+   */
+  function getItemRange(menu) {
+    const read = (name) => {
+      const value = parseInt(menu.querySelector(`[data-range="${name}"]`).value, 10);
+      return value > 0 ? value : '';
+    };
+    const from = read('from');
+    const to = read('to');
+    return from || to ? `${from || 1}:${to}` : null;
+  }
+
+  /**
+   * Show a one-off menu of choices that goes away once one is picked
+   * @param {Array<{label: string, title?: string, onPick: Function}>} choices
+   * @returns {HTMLElement} The menu
+   */
+  function openChoiceMenu(container, headingText, choices, className) {
+    const menu = document.createElement('div');
+    menu.className = `${MENU_CLASS} ${className}`;
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('aria-label', headingText);
+    
+    const heading = document.createElement('div');
+    heading.className = 'vidpull-format-menu-heading';
+    heading.setAttribute('aria-hidden', 'true');
+    heading.textContent = headingText;
+    menu.appendChild(heading);
+    
+    choices.forEach(({ label, title, onPick }) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'vidpull-format-menu-item';
+      item.setAttribute('role', 'menuitem');
+      item.textContent = label;
+      if (title) item.title = title;
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      });
+      item.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onPick();
+        closeMenus(container);
+      });
+      menu.appendChild(item);
+    });
+    
+    menu.addEventListener('click', (e) => e.stopPropagation());
+    container.appendChild(menu);
+    showMenu(container, menu);
+    container._choiceMenu = menu;
+    return menu;
+  }
+
+  /**
+   * URL inspector: every URL the overlay could send, best first and labeled
+   * with how it was found. Picking one puts it in the field below, where it
+   * can be edited before sending.
+   */
+  function openInspector(container) {
+    const format = getOverlayFormat(container);
+    const candidates = getOverlayCandidates(container);
+    
+    const menu = document.createElement('div');
+    menu.className = `${MENU_CLASS} vidpull-inspector`;
+    menu.setAttribute('role', 'dialog');
+    menu.setAttribute('aria-label', 'Choose the URL to send');
+    menu.innerHTML = `
+      <div class="vidpull-format-menu-heading" aria-hidden="true">Send which URL?</div>
+      <form class="vidpull-inspector-form">
+        <input type="url" class="vidpull-inspector-url" aria-label="URL to send" spellcheck="false" required>
+        <button type="submit" class="vidpull-clip-button vidpull-clip-send">Send</button>
+      </form>
+    `;
+    const form = menu.querySelector('.vidpull-inspector-form');
+    const input = form.querySelector('input');
+    
+    const items = candidates.map((candidate) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'vidpull-format-menu-item vidpull-inspector-item';
+      item.title = candidate.url;
+      item.innerHTML = `
+        <span class="vidpull-inspector-strategy"></span>
+        <span class="vidpull-inspector-candidate"></span>
+      `;
+      item.querySelector('.vidpull-inspector-strategy').textContent = candidate.detail
+        ? `${STRATEGY_LABELS[candidate.strategy]} \u00b7 ${candidate.detail}`
+        : STRATEGY_LABELS[candidate.strategy];
+      item.querySelector('.vidpull-inspector-candidate').textContent = candidate.url;
+      
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      });
+      item.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        selectCandidate(item, candidate);
+        input.focus({ preventScroll: true });
+      });
+      item.addEventListener('mouseenter', () => showCandidateSource(container, candidate));
+      item.addEventListener('focus', () => showCandidateSource(container, candidate));
+      item.addEventListener('mouseleave', clearCandidateSource);
+      item.addEventListener('blur', clearCandidateSource);
+      form.before(item);
+      return item;
+    });
+    
+    function selectCandidate(item, candidate) {
+      items.forEach(other => other.classList.toggle('vidpull-selected', other === item));
+      input.value = candidate.url;
+      input.setCustomValidity('');
+    }
+    selectCandidate(items[0], candidates[0]);
+    
+    input.addEventListener('input', () => {
+      items.forEach(item => item.classList.remove('vidpull-selected'));
+      input.setCustomValidity('');
+    });
+    // Typing a URL shouldn't reach the player's keyboard shortcuts
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        closeMenus(container);
+        container._button.focus({ preventScroll: true });
+      }
+    });
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const url = input.value.trim();
+      if (!/^https?:\/\//i.test(url)) {
+        input.setCustomValidity('Enter an http or https URL');
+        input.reportValidity();
+        return;
+      }
+      closeMenus(container);
+      startDownload(container, url, format);
+    });
+    
+    menu.addEventListener('mousedown', (e) => e.stopPropagation());
+    menu.addEventListener('click', (e) => e.stopPropagation());
+    container.appendChild(menu);
+    showMenu(container, menu);
+    container._choiceMenu = menu;
+  }
+
+  /**
+   * URLs an overlay could send: a player's candidates, or an embed's or
+   * episode link's own URL followed by the page's
+   * @returns {Array<{url: string, strategy: string, detail?: string, source?: Element}>}
+   */
+  function getOverlayCandidates(container) {
+    if (container._media) return resolveVideoCandidates(container._media);
+    
+    const element = container._video;
+    const url = container._getUrl();
+    const pageUrl = cleanVideoUrl(window.location.href);
+    const candidates = [{ url, strategy: element.tagName === 'IFRAME' ? 'embed' : 'link', source: element }];
+    if (pageUrl !== url) {
+      candidates.push({ url: pageUrl, strategy: 'page', source: null });
+    }
+    return candidates;
+  }
+
+  /**
+   * Outline the element a candidate URL came from, looking up a permalink's
+   * link the first time it's shown
+   */
+  function showCandidateSource(container, candidate) {
+    clearCandidateSource();
+    if (candidate.source === undefined) {
+      candidate.source = findPermalinkSource(container._media || container._video, candidate.url);
+    }
+    if (!candidate.source?.isConnected) return;
+    
+    inspectedSource = candidate.source;
+    inspectedSource.classList.add(INSPECT_SOURCE_CLASS);
+  }
+
+  function clearCandidateSource() {
+    inspectedSource?.classList.remove(INSPECT_SOURCE_CLASS);
+    inspectedSource = null;
+  }
+
+  /**
+   * Of the page's links to a permalink's video, the one closest to the video
+   */
+  function findPermalinkSource(video, url) {
+    const videoKey = getVideoKey(url);
+    let closestLink = null;
+    let closestDistance = Infinity;
+    
+    for (const link of video.ownerDocument.querySelectorAll('a[href]')) {
+      if (getVideoKey(link.href) !== videoKey) continue;
+      
+      const distance = utils.getDomDistance(video, link);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestLink = link;
+      }
+    }
+    
+    return closestLink;
+  }
+
+
+  /**
+   * Clip mode: mark in/out points from the player and send only that range
+   */
+  function toggleClipMode(container) {
+    if (container._clipPanel) {
+      closeClipMode(container);
+    } else {
+      openClipMode(container);
+    }
+  }
+
+  function openClipMode(container) {
+    if (activeClipContainer && activeClipContainer !== container) {
+      closeClipMode(activeClipContainer);
+    }
+    
+    const video = container._media;
+    // Start from the page link's start time, if it has one, for the user to keep or re-mark
+    container._clip = { start: getLinkedStart(video, container._getUrl()), end: null };
+    
+    const panel = document.createElement('div');
+    panel.className = 'vidpull-clip-panel';
+    panel.innerHTML = `
+      <div class="vidpull-clip-timeline" title="Click to seek">
+        <div class="vidpull-clip-range"></div>
+        <div class="vidpull-clip-playhead"></div>
+      </div>
+      <div class="vidpull-clip-controls">
+        <button class="vidpull-clip-button" data-clip-action="in" title="Mark in at the current time (I)">In</button>
+        <span class="vidpull-clip-times"></span>
+        <button class="vidpull-clip-button" data-clip-action="out" title="Mark out at the current time (O)">Out</button>
+        <button class="vidpull-clip-button vidpull-clip-send" data-clip-action="send" title="Send this range">Send</button>
+        <button class="vidpull-clip-button" data-clip-action="close" title="Leave clip mode (Esc)">\u00d7</button>
+      </div>
+    `;
+    
+    panel.addEventListener('mousedown', (e) => e.stopPropagation());
+    panel.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      
+      const timeline = e.target.closest('.vidpull-clip-timeline');
+      if (timeline) {
+        const duration = getClipDuration(video);
+        const rect = timeline.getBoundingClientRect();
+        if (duration > 0 && rect.width > 0) {
+          video.currentTime = ((e.clientX - rect.left) / rect.width) * duration;
+        }
+        return;
+      }
+      
+      const action = e.target.closest('[data-clip-action]')?.dataset.clipAction;
+      if (action === 'in' || action === 'out') {
+        markClipPoint(container, action);
+      } else if (action === 'send') {
+        download(container, getOverlayFormat(container));
+      } else if (action === 'close') {
+        closeClipMode(container);
+      }
+    });
+    
+    container._clipPanel = panel;
+    container._onClipTimeUpdate = () => updateClipPanel(container);
+    video.addEventListener('timeupdate', container._onClipTimeUpdate);
+    video.addEventListener('durationchange', container._onClipTimeUpdate);
+    
+    container.classList.add('vidpull-clip-mode');
+    container.appendChild(panel);
+    alignToVideo(container, panel);
+    activeClipContainer = container;
+    updateClipPanel(container);
+  }
+
+  function closeClipMode(container) {
+    if (!container._clipPanel) return;
+    
+    container._media.removeEventListener('timeupdate', container._onClipTimeUpdate);
+    container._media.removeEventListener('durationchange', container._onClipTimeUpdate);
+    container._clipPanel.remove();
+    container._clipPanel = null;
+    container._clip = null;
+    container.classList.remove('vidpull-clip-mode');
+    if (activeClipContainer === container) {
+      activeClipContainer = null;
+    }
+  }
+
+  /**
+   * Set the in or out point to the player's current time, dropping the other
+   * point if it would leave an empty or reversed range
+   */
+  function markClipPoint(container, point) {
+    const clip = container._clip;
+    const time = Math.round(container._media.currentTime * 10) / 10;
+    
+    if (point === 'in') {
+      clip.start = time;
+      if (clip.end != null && clip.end <= time) clip.end = null;
+    } else {
+      clip.end = time;
+      if (clip.start != null && clip.start >= time) clip.start = null;
+    }
+    updateClipPanel(container);
+  }
+
+  /**
+   * The marked range to send with a download, or null outside clip mode
+   */
+  function getClipRange(container) {
+    const clip = container._clip;
+    if (!clip || (clip.start == null && clip.end == null)) return null;
+    return { start: clip.start, end: clip.end };
+  }
+
+  /**
+   * Where the page's own link to a video starts playing (YouTube's t=, an
+   * embed's start=), which the resolved URL no longer carries
+   * @returns {number|null} Seconds into the video
+   */
+  function getLinkedStart(element, url) {
+    const linkUrl = element.tagName === 'IFRAME' ? element.src : window.location.href;
+    return (getVideoKey(linkUrl) === getVideoKey(url) && getStartTime(linkUrl)) || null;
+  }
+
+  /**
+   * Length of the player's timeline, using the seekable window for live streams
+   */
+  function getClipDuration(video) {
+    if (Number.isFinite(video.duration)) return video.duration;
+    const seekable = video.seekable;
+    return seekable && seekable.length > 0 ? seekable.end(seekable.length - 1) : 0;
+  }
+
+  function updateClipPanel(container) {
+    const panel = container._clipPanel;
+    if (!panel) return;
+    
+    const video = container._media;
+    const clip = container._clip;
+    const duration = getClipDuration(video);
+    const toPercent = (time) => duration > 0 ? Math.min(100, (time / duration) * 100) : 0;
+    
+    const start = clip.start ?? 0;
+    const end = clip.end ?? duration;
+    const range = panel.querySelector('.vidpull-clip-range');
+    range.style.left = `${toPercent(start)}%`;
+    range.style.width = `${Math.max(0, toPercent(end) - toPercent(start))}%`;
+    range.classList.toggle('vidpull-clip-range-set', clip.start != null || clip.end != null);
+    panel.querySelector('.vidpull-clip-playhead').style.left = `${toPercent(video.currentTime)}%`;
+    
+    panel.querySelector('.vidpull-clip-times').textContent = getClipRange(container)
+      ? formatClipRange(clip)
+      : formatClipTime(video.currentTime);
+  }
+
+  // In-page hotkeys, ahead of the page's own shortcuts: clip keys while a clip
+  // panel is open, otherwise keys for the focused or highlighted overlay
+  document.addEventListener('keydown', onHotkey, true);
+  observePointer(document);
+
+  function onHotkey(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e)) return;
+    
+    const handled = activeClipContainer
+      ? onClipKey(activeClipContainer, e.key.toLowerCase())
+      : onTargetKey(e);
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+
+  /**
+   * Whether a key press goes to a text field, where hotkeys must not fire
+   */
+  function isTyping(e) {
+    const target = e.composedPath()[0] || e.target;
+    return !!target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+  }
+
+  function onClipKey(container, key) {
+    if (key === 'i' || key === 'o') {
+      markClipPoint(container, key === 'i' ? 'in' : 'out');
+    } else if (key === 'escape') {
+      closeClipMode(container);
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Keys for the overlay that has focus, or else the highlighted video's:
+   * 1-6 send in that format, Enter sends in the site's format, the arrows
+   * walk the menu and Escape backs out one step
+   * @returns {boolean} Whether the key was used
+   */
+  function onTargetKey(e) {
+    const source = e.composedPath()[0];
+    const focused = source?.closest?.(`.${CONTAINER_CLASS}`);
+    const container = focused || (highlightedElement && ensureOverlay(highlightedElement));
+    if (!container) return false;
+    
+    // In a choice menu the numbers would skip the choice being asked for
+    if (/^[1-9]$/.test(e.key) && !container._choiceMenu) {
+      const format = FORMATS[Number(e.key) - 1]?.id;
+      if (!format) return false;
+      closeMenus(container);
+      // As with the format menu, audio overlays don't change the site's format
+      if (!container._audio) setSiteFormat(format);
+      download(container, format);
+      return true;
+    }
+    
+    switch (e.key) {
+      case 'Enter':
+        // A focused button acts on Enter by itself
+        if (focused) return false;
+        closeMenus(container);
+        download(container, getOverlayFormat(container));
+        return true;
+      case 'ArrowDown':
+      case 'ArrowUp':
+        if (!focused) return false;
+        moveMenuFocus(container, e.key === 'ArrowDown' ? 1 : -1);
+        return true;
+      case 'Escape':
+        if (getOpenMenu(container)) {
+          closeMenus(container);
+          container._button.focus({ preventScroll: true });
+        } else if (focused || highlightedElement) {
+          clearHighlight();
+          if (focused) source.blur();
+        } else {
+          return false;
+        }
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  function getOpenMenu(container) {
+    if (container._choiceMenu) return container._choiceMenu;
+    return container._menu.style.display !== 'none' ? container._menu : null;
+  }
+
+  /**
+   * Move focus through the open menu's items, opening the format menu first
+   * when focus is still on the button
+   */
+  function moveMenuFocus(container, step) {
+    let menu = getOpenMenu(container);
+    if (!menu) {
+      openFormatMenu(container);
+      menu = container._menu;
+    }
+    
+    const items = Array.from(menu.querySelectorAll('.vidpull-format-menu-item'));
+    if (items.length === 0) return;
+    const index = items.indexOf(container.getRootNode().activeElement);
+    const next = index === -1
+      ? (step > 0 ? 0 : items.length - 1)
+      : (index + step + items.length) % items.length;
+    items[next].focus({ preventScroll: true });
+  }
+
+  /**
+   * download-video command: the highlighted video, else the one under the
+   * pointer, else the one taking up most of the viewport
+   */
+  function downloadKeyboardTarget() {
+    const element = highlightedElement || getElementUnderPointer() || getMostVisibleElement();
+    if (!element) return;
+    
+    const container = ensureOverlay(element);
+    closeMenus(container);
+    download(container, getOverlayFormat(container));
+  }
+
+  /**
+   * cycle-video command: highlight the next video in reading order, starting
+   * with the most visible one
+   */
+  function cycleHighlight() {
+    const elements = getTrackedElements()
+      .map(element => ({ element, rect: getViewportRect(element) }))
+      .filter(({ rect }) => rect.width > 0 && rect.height > 0)
+      .sort((a, b) => a.rect.top - b.rect.top || a.rect.left - b.rect.left)
+      .map(({ element }) => element);
+    if (elements.length === 0) return;
+    
+    const index = elements.indexOf(highlightedElement);
+    highlightElement(index === -1
+      ? getMostVisibleElement() || elements[0]
+      : elements[(index + 1) % elements.length]);
+  }
+
+  function highlightElement(element) {
+    clearHighlight();
+    highlightedElement = element;
+    element.classList.add(KEYBOARD_TARGET_CLASS);
+    element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    
+    // Videos far off screen get their overlay, and focus, in onIntersection
+    const container = trackedElements.get(element)?.container;
+    if (container) {
+      focusOverlay(container);
+    }
+  }
+
+  /**
+   * Focus the overlay button and show the format menu with its number keys
+   */
+  function focusOverlay(container) {
+    container._button.focus({ preventScroll: true });
+    openFormatMenu(container);
+  }
+
+  function clearHighlight() {
+    const element = highlightedElement;
+    if (!element) return;
+    
+    highlightedElement = null;
+    element.classList.remove(KEYBOARD_TARGET_CLASS);
+    const container = trackedElements.get(element)?.container;
+    if (container) {
+      closeMenus(container);
+    }
+  }
+
+  function getTrackedElements() {
+    return Array.from(trackedRefs, ref => ref.deref())
+      .filter(element => element && element.isConnected && trackedElements.has(element));
+  }
+
+  /**
+   * The smallest tracked element under the last pointer position
+   */
+  function getElementUnderPointer() {
+    if (!lastPointer) return null;
+    
+    const offset = getFrameOffset(lastPointer.view);
+    const x = lastPointer.x + offset.x;
+    const y = lastPointer.y + offset.y;
+    
+    let best = null;
+    let bestArea = Infinity;
+    getTrackedElements().forEach((element) => {
+      const rect = getViewportRect(element);
+      const area = rect.width * rect.height;
+      if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom && area > 0 && area < bestArea) {
+        best = element;
+        bestArea = area;
+      }
+    });
+    return best;
+  }
+
+  function getMostVisibleElement() {
+    let best = null;
+    let bestArea = 0;
+    getTrackedElements().forEach((element) => {
+      const rect = getViewportRect(element);
+      const width = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+      const height = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+      const area = Math.max(0, width) * Math.max(0, height);
+      if (area > bestArea) {
+        best = element;
+        bestArea = area;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * An element's box in this window's viewport, also for elements inside
+   * same-origin frames
+   */
+  function getViewportRect(element) {
+    const rect = element.getBoundingClientRect();
+    const { x, y } = getFrameOffset(element.ownerDocument.defaultView);
+    return {
+      left: rect.left + x,
+      top: rect.top + y,
+      right: rect.right + x,
+      bottom: rect.bottom + y,
+      width: rect.width,
+      height: rect.height
+    };
+  }
+
+  /**
+   * Where a same-origin frame's viewport starts in this window's viewport
+   */
+  function getFrameOffset(view) {
+    let x = 0;
+    let y = 0;
+    while (view && view !== window && view.frameElement) {
+      const frame = view.frameElement;
+      const frameRect = frame.getBoundingClientRect();
+      x += frameRect.left + frame.clientLeft;
+      y += frameRect.top + frame.clientTop;
+      view = view.parent;
+    }
+    return { x, y };
+  }
+
+  /**
+   * Remember where the pointer is for the download-video command, and show
+   * the overlays of the video it moves over. The handlers are shared, so
+   * observing a frame's document again after overlays are re-enabled doesn't
+   * add a second pair.
+   */
+  function observePointer(root) {
+    root.addEventListener('mousemove', onPointerMove, { capture: true, passive: true });
+    root.addEventListener('mouseout', onPointerOut, true);
+  }
+
+  function onPointerMove(e) {
+    lastPointer = { view: e.view, x: e.clientX, y: e.clientY };
+    if (!wakeFrame) {
+      wakeFrame = requestFrame(wakeOverlaysUnderPointer);
+    }
+  }
+
+  function onPointerOut(e) {
+    // No relatedTarget: the pointer left this document
+    if (!e.relatedTarget && lastPointer?.view === e.view) {
+      lastPointer = null;
+    }
+  }
+
+  function getSiteFormat() {
+    return getSiteRule(siteRules, currentSite).format || DEFAULT_FORMAT;
+  }
+
+  /**
+   * Format the overlay's button sends in: audio only for audio players,
+   * audio embeds and audio episodes, otherwise the site's format
+   */
+  function getOverlayFormat(container) {
+    return container._audio ? AUDIO_FORMAT : getSiteFormat();
+  }
+
+  function getSiteExtras() {
+    return getSiteRule(siteRules, currentSite).extras || {};
+  }
+
+  function setSiteExtras(extras) {
+    const normalized = normalizeExtras(extras) || undefined;
+    siteRules = {
+      ...siteRules,
+      [currentSite]: { ...siteRules[currentSite], extras: normalized }
+    };
+    VidPullSettings.updateSiteRule(currentSite, { extras: normalized });
+    updateFormatLabels();
+  }
+
+  function getSiteTarget() {
+    return getSiteRule(siteRules, currentSite).target || sendTarget;
+  }
+
+  function setSiteTarget(target) {
+    siteRules = {
+      ...siteRules,
+      [currentSite]: { ...siteRules[currentSite], target }
+    };
+    VidPullSettings.updateSiteRule(currentSite, { target });
+  }
+
+  function setSiteFormat(format) {
+    siteRules = {
+      ...siteRules,
+      [currentSite]: { ...siteRules[currentSite], format }
+    };
+    VidPullSettings.updateSiteRule(currentSite, { format });
+    updateFormatLabels();
+  }
+
+  /**
+   * Mark overlays whose downloads will include the user's login cookies
+   */
+  function updateCookieIndicator(container) {
+    const sharing = shouldShareCookies(siteRules, container._site);
+    container.classList.toggle('vidpull-sharing-cookies', sharing);
+    container._cookieBadge.title = sharing ? `Your ${container._site} login cookies are sent with downloads` : '';
+    if (!container._state) {
+      setButtonLabel(container._button, getIdleTitle(container));
+    }
+  }
+
+  function getIdleTitle(container) {
+    const notes = [
+      shouldShareCookies(siteRules, container._site) ? `shares your ${container._site} login` : null,
+      container._sentEntry ? `already sent ${formatTimestamp(container._sentEntry.timestamp)}` : null
+    ];
+    return [BUTTON_TITLE, ...notes.filter(Boolean)].join(' \u2013 ');
+  }
+
+  /**
+   * The sent index entry for the overlay's video, if it was sent before
+   */
+  function getSentEntry(container) {
+    const url = getContainerUrl(container);
+    return (url && sentIndex[getVideoKey(url)]) || null;
+  }
+
+  function updateSentIndicator(container) {
+    container._sentEntry = getSentEntry(container);
+    container.classList.toggle('vidpull-already-sent', !!container._sentEntry);
+    container._sentBadge.title = container._sentEntry ? `Sent ${formatTimestamp(container._sentEntry.timestamp)}` : '';
+    if (!container._state) {
+      setButtonLabel(container._button, getIdleTitle(container));
+    }
+  }
+
+  function updateCookieIndicators() {
+    overlayContainers.forEach(updateCookieIndicator);
+  }
+
+  function updateFormatLabels() {
+    overlayContainers.forEach(container => {
+      if (container._formatChip) setFormatChipLabel(container._formatChip, getOverlayFormat(container));
+    });
+  }
+
+  /**
+   * Call onLongPress once the button is held still for LONG_PRESS_MS, and
+   * swallow the click that ends that press
+   */
+  function setupLongPress(button, onLongPress) {
+    let timer = null;
+    let startX, startY;
+    let pressed = false;
+    
+    const cancel = () => {
+      clearTimeout(timer);
+      timer = null;
+    };
+    
+    button.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      cancel();
+      pressed = false;
+      startX = e.clientX;
+      startY = e.clientY;
+      timer = setTimeout(() => {
+        timer = null;
+        pressed = true;
+        onLongPress();
+      }, LONG_PRESS_MS);
+    });
+    
+    // Moving far enough to start a drag isn't a press
+    button.addEventListener('pointermove', (e) => {
+      if (timer && (Math.abs(e.clientX - startX) > 5 || Math.abs(e.clientY - startY) > 5)) {
+        cancel();
+      }
+    });
+    button.addEventListener('pointerup', () => {
+      cancel();
+      if (pressed) setTimeout(() => { pressed = false; }, 50);
+    });
+    button.addEventListener('pointercancel', cancel);
+    button.addEventListener('pointerleave', cancel);
+    
+    button.addEventListener('click', (e) => {
+      if (!pressed) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }, true);
+    // Touch browsers open their own menu for a long press
+    button.addEventListener('contextmenu', (e) => {
+      if (pressed) e.preventDefault();
+    });
+  }
+
+  function setupDrag(button, container, video) {
+    let startX, startY, startLeft, startTop, hasMoved = false;
+
+    button.addEventListener('mousedown', (e) => {
+      if (e.button !== 0 || container._docked || container._compact) return;
       
       e.preventDefault();
+      closeMenus(container);
       hasMoved = false;
       startX = e.clientX;
       startY = e.clientY;
@@ -522,8 +2569,8 @@
       startTop = rect.top;
       
       button.classList.add('vidpull-dragging');
-      document.addEventListener('mousemove', onMouseMove);
-      document.addEventListener('mouseup', onMouseUp);
+      container.ownerDocument.addEventListener('mousemove', onMouseMove);
+      container.ownerDocument.addEventListener('mouseup', onMouseUp);
     });
 
     function onMouseMove(e) {
@@ -538,33 +2585,35 @@
       if (!hasMoved) return;
       
       const videoRect = video.getBoundingClientRect();
-      const parentRect = video.parentElement?.getBoundingClientRect();
+      const parentRect = getPositionParent(container)?.getBoundingClientRect();
       if (!parentRect) return;
       
+      // Kept inside the video, which need not start at its position parent's corner
+      const videoOffsetX = videoRect.left - parentRect.left;
+      const videoOffsetY = videoRect.top - parentRect.top;
       const newLeft = startLeft + deltaX - parentRect.left;
       const newTop = startTop + deltaY - parentRect.top;
-      const buttonSize = 40;
+      const buttonSize = getButtonSize(container);
       
-      container.style.left = `${Math.max(0, Math.min(newLeft, videoRect.width - buttonSize))}px`;
-      container.style.top = `${Math.max(0, Math.min(newTop, videoRect.height - buttonSize))}px`;
+      container.style.left = `${Math.max(videoOffsetX, Math.min(newLeft, videoOffsetX + videoRect.width - buttonSize))}px`;
+      container.style.top = `${Math.max(videoOffsetY, Math.min(newTop, videoOffsetY + videoRect.height - buttonSize))}px`;
     }
 
     function onMouseUp() {
-      document.removeEventListener('mousemove', onMouseMove);
-      document.removeEventListener('mouseup', onMouseUp);
+      container.ownerDocument.removeEventListener('mousemove', onMouseMove);
+      container.ownerDocument.removeEventListener('mouseup', onMouseUp);
       button.classList.remove('vidpull-dragging');
       
       if (hasMoved) {
         const videoRect = video.getBoundingClientRect();
         const containerRect = container.getBoundingClientRect();
-        const parentRect = video.parentElement?.getBoundingClientRect();
+        const halfSize = getButtonSize(container) / 2;
         
-        if (parentRect && videoRect.width > 0 && videoRect.height > 0) {
-          buttonPosition = {
-            xPercent: ((containerRect.left - parentRect.left + 20) / videoRect.width) * 100,
-            yPercent: ((containerRect.top - parentRect.top + 20) / videoRect.height) * 100
-          };
-          chrome.storage.sync.set({ [STORAGE_KEY_POSITION]: buttonPosition });
+        if (videoRect.width > 0 && videoRect.height > 0) {
+          saveSitePosition({
+            xPercent: ((containerRect.left - videoRect.left + halfSize) / videoRect.width) * 100,
+            yPercent: ((containerRect.top - videoRect.top + halfSize) / videoRect.height) * 100
+          });
         }
         
         setTimeout(() => button._setDragging(false), 50);
@@ -572,40 +2621,177 @@
     }
   }
 
-  function positionOverlay(video, container) {
-    const rect = video.getBoundingClientRect();
-    const parentRect = video.parentElement?.getBoundingClientRect();
+  /**
+   * Size of an overlay's button, which is smaller on compact overlays
+   */
+  function getButtonSize(container) {
+    return container._compact ? COMPACT_BUTTON_SIZE : BUTTON_SIZE;
+  }
+
+  /**
+   * Where an overlay goes, relative to the element it is positioned in, or
+   * null while its element has no size or the overlay is docked
+   */
+  function measureOverlay(container) {
+    if (container._docked) return null;
     
-    if (parentRect && rect.width > 0 && rect.height > 0) {
-      const buttonSize = 40;
-      const xPos = (buttonPosition.xPercent / 100) * rect.width - (buttonSize / 2);
-      const yPos = (buttonPosition.yPercent / 100) * rect.height - (buttonSize / 2);
-      
-      const videoOffsetX = rect.left - parentRect.left;
-      const videoOffsetY = rect.top - parentRect.top;
-      
-      container.style.position = 'absolute';
-      container.style.left = `${videoOffsetX + Math.max(0, Math.min(xPos, rect.width - buttonSize))}px`;
-      container.style.top = `${videoOffsetY + Math.max(0, Math.min(yPos, rect.height - buttonSize))}px`;
-      container.style.zIndex = '2147483647';
+    const rect = container._video.getBoundingClientRect();
+    const parentRect = getPositionParent(container)?.getBoundingClientRect();
+    
+    if (!parentRect || rect.width <= 0 || rect.height <= 0) return null;
+    
+    const videoOffsetX = rect.left - parentRect.left;
+    const videoOffsetY = rect.top - parentRect.top;
+    
+    // Compact buttons sit just right of the player, or inside its right end
+    // when the viewport ends there
+    if (container._compact) {
+      const viewportWidth = container._video.ownerDocument.documentElement.clientWidth;
+      const fitsBeside = rect.right + COMPACT_GAP + COMPACT_BUTTON_SIZE <= viewportWidth;
+      return {
+        left: videoOffsetX + (fitsBeside ? rect.width + COMPACT_GAP : rect.width - COMPACT_BUTTON_SIZE),
+        top: videoOffsetY + (rect.height - COMPACT_BUTTON_SIZE) / 2
+      };
     }
+    
+    const position = getButtonPosition();
+    const xPos = (position.xPercent / 100) * rect.width - (BUTTON_SIZE / 2);
+    const yPos = (position.yPercent / 100) * rect.height - (BUTTON_SIZE / 2);
+    
+    return {
+      left: videoOffsetX + Math.max(0, Math.min(xPos, rect.width - BUTTON_SIZE)),
+      top: videoOffsetY + Math.max(0, Math.min(yPos, rect.height - BUTTON_SIZE))
+    };
+  }
+
+  function applyOverlayPosition(container, { left, top }) {
+    container.style.position = 'absolute';
+    container.style.left = `${left}px`;
+    container.style.top = `${top}px`;
+    container.style.zIndex = '2147483647';
   }
 
   function repositionAllOverlays() {
-    document.querySelectorAll(`.${CONTAINER_CLASS}`).forEach(container => {
-      if (container._video) positionOverlay(container._video, container);
+    overlayContainers.forEach(scheduleReposition);
+  }
+
+  /**
+   * Move overlays into or out of the fullscreen element, showing them as the
+   * player shows its controls
+   */
+  function onFullscreenChange() {
+    overlayContainers.forEach((container) => {
+      scheduleReposition(container);
+      wakeOverlay(container);
+    });
+  }
+
+  /**
+   * The browser's picture-in-picture window shows only the video, so its
+   * overlay docks in the corner of the tab until the video comes back
+   */
+  function onPictureInPictureChange(e) {
+    const element = getTrackedElementForMedia(e.target);
+    if (!element) return;
+    
+    const docked = e.type === 'enterpictureinpicture';
+    const container = docked ? ensureOverlay(element) : trackedElements.get(element).container;
+    if (!container) return;
+    
+    closeMenus(container);
+    container._docked = docked;
+    container.classList.toggle(DOCKED_CLASS, docked);
+    if (docked) {
+      // The docked style places it; positioning puts it back afterwards
+      container.style.position = container.style.left = container.style.top = '';
+    }
+    scheduleReposition(container);
+    wakeOverlay(container);
+  }
+
+  function getTrackedElementForMedia(media) {
+    if (trackedElements.has(media)) return media;
+    return getTrackedElements().find(element => trackedElements.get(element).media === media) || null;
+  }
+
+  /**
+   * Players moved into a Document Picture-in-Picture window take their
+   * overlays along (see scheduleSweep), so give that window the overlay
+   * styles and the listeners the page has
+   */
+  function onDocumentPictureInPicture(e) {
+    const pipWindow = e.window;
+    pictureInPictureWindow = pipWindow;
+    appendStyles(pipWindow.document.head);
+    observeRoot(pipWindow.document);
+    pipWindow.addEventListener('resize', repositionAllOverlays);
+    pipWindow.addEventListener('pagehide', () => {
+      if (pictureInPictureWindow === pipWindow) {
+        pictureInPictureWindow = null;
+      }
+      // Players move back into the page as the window closes
+      scheduleSweep();
+    });
+  }
+
+  /**
+   * Show an overlay, and fade it out after AUTO_HIDE_MS unless it is busy,
+   * showing a result or holding keyboard focus by then
+   */
+  function wakeOverlay(container) {
+    container.classList.remove(IDLE_CLASS);
+    clearTimeout(container._idleTimer);
+    // Audio players keep their controls on screen, so compact overlays stay too
+    if (container._compact) return;
+    container._idleTimer = setTimeout(() => {
+      if (isOverlayBusy(container) || container._state || container.matches(':focus-within')) {
+        wakeOverlay(container);
+      } else {
+        container.classList.add(IDLE_CLASS);
+      }
+    }, AUTO_HIDE_MS);
+  }
+
+  function wakeOverlaysUnderPointer() {
+    wakeFrame = null;
+    if (!lastPointer) return;
+    
+    const offset = getFrameOffset(lastPointer.view);
+    const x = lastPointer.x + offset.x;
+    const y = lastPointer.y + offset.y;
+    overlayContainers.forEach((container) => {
+      // A picture-in-picture window's viewport is not this one
+      if (container.ownerDocument.defaultView?.top !== lastPointer.view.top) return;
+    
+      const rect = getViewportRect(container._video);
+      if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+        wakeOverlay(container);
+      }
     });
   }
 
   function updateOverlayVisibility() {
-    document.querySelectorAll(`.${CONTAINER_CLASS}`).forEach(container => {
+    overlayContainers.forEach(container => {
       container.style.display = overlaysVisible ? 'block' : 'none';
     });
   }
 
   function removeAllOverlays() {
-    document.querySelectorAll(`.${CONTAINER_CLASS}`).forEach(c => c.remove());
-    document.querySelectorAll('[data-vidpull-attached]').forEach(el => delete el.dataset.vidpullAttached);
+    clearHighlight();
+    domObserver?.disconnect();
+    domObserver = null;
+    
+    intersectionObserver?.disconnect();
+    intersectionObserver = null;
+    resizeObserver?.disconnect();
+    resizeObserver = null;
+    
+    overlayContainers.forEach(destroyOverlay);
+    trackedElements = new WeakMap();
+    trackedRefs = new Set();
+    observedRoots = new WeakSet();
+    watchedFrames = new WeakSet();
+    querySelectorAllDeep(document, '[data-vidpull-attached]').forEach(el => delete el.dataset.vidpullAttached);
   }
 
 })();
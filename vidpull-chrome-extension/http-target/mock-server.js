@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// VidPull yt-dlp server mock
+// Answers like MeTube's POST /add without downloading anything, so the
+// extension's "yt-dlp server" send target can be tried on any machine.
+
+'use strict';
+
+const http = require('http');
+
+// Set VIDPULL_MOCK_AUTH="Authorization: Bearer secret" to require that header,
+// VIDPULL_MOCK_FAIL=1 to reject every download the way MeTube does
+const PORT = Number(process.env.PORT) || 8081;
+const REQUIRED_AUTH = process.env.VIDPULL_MOCK_AUTH || '';
+const FAIL_DOWNLOADS = process.env.VIDPULL_MOCK_FAIL === '1';
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Everything posted so far, newest last, for GET /requests
+const received = [];
+
+function log(...args) {
+  console.log('[vidpull-mock-server]', ...args);
+}
+
+function reply(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Whether the request carries the header VIDPULL_MOCK_AUTH asks for
+ */
+function isAuthorized(request) {
+  if (!REQUIRED_AUTH) return true;
+  const separator = REQUIRED_AUTH.indexOf(':');
+  const name = REQUIRED_AUTH.slice(0, separator).trim().toLowerCase();
+  return request.headers[name] === REQUIRED_AUTH.slice(separator + 1).trim();
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Body too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (request, response) => {
+  if (request.method === 'GET' && request.url === '/requests') {
+    reply(response, 200, received);
+    return;
+  }
+  if (request.method !== 'POST') {
+    reply(response, 405, { status: 'error', msg: 'POST a download, or GET /requests' });
+    return;
+  }
+  if (!isAuthorized(request)) {
+    log('rejected, missing auth header');
+    reply(response, 401, { status: 'error', msg: 'Unauthorized' });
+    return;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(request));
+  } catch (e) {
+    reply(response, 400, { status: 'error', msg: `Invalid JSON: ${e.message}` });
+    return;
+  }
+
+  received.push({ path: request.url, body, receivedAt: new Date().toISOString() });
+  log(request.url, JSON.stringify(body));
+
+  if (!body?.url) {
+    reply(response, 400, { status: 'error', msg: 'Missing url' });
+  } else if (FAIL_DOWNLOADS) {
+    reply(response, 200, { status: 'error', msg: 'Simulated failure' });
+  } else {
+    reply(response, 200, { status: 'ok' });
+  }
+});
+
+server.listen(PORT, () => {
+  log(`listening on http://localhost:${PORT}/add${REQUIRED_AUTH ? ' (auth required)' : ''}`);
+});
@@ -0,0 +1,58 @@
+#!/bin/bash
+
+set -e
+
+echo "=== VidPull Native Host Stub Installer ==="
+echo ""
+
+EXTENSION_ID="$1"
+HOST_NAME="com.vidpull.app"
+HOST_PATH="$(cd "$(dirname "$0")" && pwd)/vidpull-host-stub.js"
+
+if ! command -v node &> /dev/null; then
+    echo "Node.js is required to run the stub host."
+    exit 1
+fi
+
+chmod +x "$HOST_PATH"
+
+# Firefox knows the extension by the fixed ID in its build (see build.js)
+TARGET_DIR="$HOME/.mozilla/native-messaging-hosts"
+mkdir -p "$TARGET_DIR"
+cat > "$TARGET_DIR/$HOST_NAME.json" <<MANIFEST
+{
+  "name": "$HOST_NAME",
+  "description": "VidPull native messaging host (stub)",
+  "path": "$HOST_PATH",
+  "type": "stdio",
+  "allowed_extensions": ["vidpull@vidpull.app"]
+}
+MANIFEST
+echo "Installed $TARGET_DIR/$HOST_NAME.json"
+
+if [ -z "$EXTENSION_ID" ]; then
+    echo ""
+    echo "Pass the extension ID from chrome://extensions (Developer mode) to"
+    echo "install for Chrome and Chromium too: $0 <extension-id>"
+    exit 0
+fi
+
+for TARGET_DIR in \
+    "$HOME/.config/google-chrome/NativeMessagingHosts" \
+    "$HOME/.config/chromium/NativeMessagingHosts"; do
+    mkdir -p "$TARGET_DIR"
+    cat > "$TARGET_DIR/$HOST_NAME.json" <<MANIFEST
+{
+  "name": "$HOST_NAME",
+  "description": "VidPull native messaging host (stub)",
+  "path": "$HOST_PATH",
+  "type": "stdio",
+  "allowed_origins": ["chrome-extension://$EXTENSION_ID/"]
+}
+MANIFEST
+    echo "Installed $TARGET_DIR/$HOST_NAME.json"
+done
+
+echo ""
+echo "Reload the extension; downloads will now go through the stub host."
+echo "Remove the manifests above to go back to the vidpull:// URL scheme."
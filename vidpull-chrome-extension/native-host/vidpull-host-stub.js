@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// VidPull native messaging host stub
+// Speaks the extension's enqueue/status/cancel protocol without downloading
+// anything, so the bridge can be exercised on machines without the app.
+
+'use strict';
+
+// Simulated download speed; set VIDPULL_STUB_FAIL=1 to make every job fail halfway
+const PROGRESS_STEP = 10;
+const PROGRESS_INTERVAL_MS = 500;
+const FAIL_JOBS = process.env.VIDPULL_STUB_FAIL === '1';
+
+const jobs = new Map();
+const timers = new Map();
+let nextJobId = 1;
+
+/**
+ * Write one length-prefixed JSON message to stdout
+ */
+function send(message) {
+  const body = Buffer.from(JSON.stringify(message), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  process.stdout.write(Buffer.concat([header, body]));
+}
+
+function log(...args) {
+  // stderr ends up in the browser's log, stdout is reserved for the protocol
+  console.error('[vidpull-host-stub]', ...args);
+}
+
+function sendProgress(job) {
+  send({ type: 'progress', job });
+}
+
+/**
+ * Pretend to download a job, pushing progress events like the app would
+ */
+function simulateDownload(job) {
+  const timer = setInterval(() => {
+    if (job.state === 'queued') {
+      job.state = 'downloading';
+      job.percent = 0;
+    } else {
+      job.percent = Math.min(100, job.percent + PROGRESS_STEP);
+    }
+
+    if (FAIL_JOBS && job.percent >= 50) {
+      job.state = 'failed';
+      job.error = 'Simulated failure';
+    } else if (job.percent >= 100) {
+      job.state = 'completed';
+    }
+
+    sendProgress(job);
+    if (job.state !== 'downloading') {
+      clearInterval(timer);
+      timers.delete(job.jobId);
+    }
+  }, PROGRESS_INTERVAL_MS);
+
+  timers.set(job.jobId, timer);
+}
+
+function handleRequest(request) {
+  const { id, type } = request;
+
+  switch (type) {
+    case 'enqueue': {
+      if (!request.url) {
+        send({ id, ok: false, error: 'Missing url' });
+        return;
+      }
+      const job = {
+        jobId: String(nextJobId++),
+        url: request.url,
+        format: request.format || 'best',
+        headers: request.headers || {},
+        start: request.start ?? null,
+        end: request.end ?? null,
+        playlist: !!request.playlist,
+        items: request.items || null,
+        extras: request.extras || null,
+        metadata: request.metadata || null,
+        output: request.output || null,
+        // Never echo or log the cookies themselves
+        cookiesShared: !!request.cookies,
+        state: 'queued'
+      };
+      jobs.set(job.jobId, job);
+      log('enqueued', job);
+      send({ id, ok: true, job });
+      simulateDownload(job);
+      return;
+    }
+
+    case 'status': {
+      if (request.jobId) {
+        const job = jobs.get(request.jobId);
+        send(job ? { id, ok: true, jobs: [job] } : { id, ok: false, error: `Unknown job ${request.jobId}` });
+      } else {
+        send({ id, ok: true, jobs: Array.from(jobs.values()) });
+      }
+      return;
+    }
+
+    case 'cancel': {
+      const job = jobs.get(request.jobId);
+      if (!job) {
+        send({ id, ok: false, error: `Unknown job ${request.jobId}` });
+        return;
+      }
+      clearInterval(timers.get(job.jobId));
+      timers.delete(job.jobId);
+      job.state = 'cancelled';
+      log('cancelled', job);
+      send({ id, ok: true, job });
+      sendProgress(job);
+      return;
+    }
+
+    default:
+      send({ id, ok: false, error: `Unknown request type "${type}"` });
+  }
+}
+
+let buffer = Buffer.alloc(0);
+
+process.stdin.on('data', (chunk) => {
+  buffer = Buffer.concat([buffer, chunk]);
+
+  while (buffer.length >= 4) {
+    const length = buffer.readUInt32LE(0);
+    if (buffer.length < 4 + length) break;
+
+    const body = buffer.subarray(4, 4 + length).toString('utf8');
+    buffer = buffer.subarray(4 + length);
+
+    try {
+      handleRequest(JSON.parse(body));
+    } catch (e) {
+      log('bad request', body, e.message);
+    }
+  }
+});
+
+// The browser closes stdin when the extension disconnects
+process.stdin.on('end', () => process.exit(0));
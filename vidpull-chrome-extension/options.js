@@ -0,0 +1,374 @@
+// VidPull Chrome Extension - Options Page
+
+const {
+  FORMATS,
+  SEND_TARGETS,
+  DEFAULT_HTTP_BODY_TEMPLATE,
+  formatExtras,
+  getSiteKey
+} = VidPullShared;
+
+const RULE_STATES = [
+  { value: 'default', label: 'Default' },
+  { value: 'allow', label: 'Allowed' },
+  { value: 'block', label: 'Blocked' }
+];
+
+// Corners offered for the default button position, as percentage offsets
+const POSITION_PRESETS = {
+  'top-right': { xPercent: 95, yPercent: 5 },
+  'top-left': { xPercent: 5, yPercent: 5 },
+  'bottom-right': { xPercent: 95, yPercent: 95 },
+  'bottom-left': { xPercent: 5, yPercent: 95 }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  const siteRows = document.getElementById('siteRows');
+  const sitesEmpty = document.getElementById('sitesEmpty');
+  const addSiteForm = document.getElementById('addSiteForm');
+  const addSiteInput = document.getElementById('addSiteInput');
+  const addSiteState = document.getElementById('addSiteState');
+  const modeInputs = document.querySelectorAll('input[name="siteMode"]');
+  const extensionEnabledInput = document.getElementById('extensionEnabled');
+  const overlaysVisibleInput = document.getElementById('overlaysVisible');
+  const buttonPositionSelect = document.getElementById('buttonPosition');
+  const sendTargetSelect = document.getElementById('sendTarget');
+  const debugModeInput = document.getElementById('debugMode');
+  const httpTargetForm = document.getElementById('httpTargetForm');
+  const httpTargetUrl = document.getElementById('httpTargetUrl');
+  const httpTargetAuth = document.getElementById('httpTargetAuth');
+  const httpTargetBody = document.getElementById('httpTargetBody');
+  const httpTargetStatus = document.getElementById('httpTargetStatus');
+  const filenameForm = document.getElementById('filenameForm');
+  const filenameTemplateInput = document.getElementById('filenameTemplate');
+  const filenameStatus = document.getElementById('filenameStatus');
+  const importFile = document.getElementById('importFile');
+  const backupStatus = document.getElementById('backupStatus');
+
+  let siteRules = {};
+
+  VidPullSettings.load().then(applySettings);
+
+  // Keep in sync with changes made from the popup, by dragging buttons or by an import
+  VidPullSettings.onChange(applySettings);
+
+  // MARK: - General
+
+  extensionEnabledInput.addEventListener('change', () => {
+    VidPullSettings.save({ extensionEnabled: extensionEnabledInput.checked });
+  });
+
+  overlaysVisibleInput.addEventListener('change', () => {
+    VidPullSettings.save({ overlaysVisible: overlaysVisibleInput.checked });
+  });
+
+  buttonPositionSelect.addEventListener('change', () => {
+    VidPullSettings.save({ buttonPosition: POSITION_PRESETS[buttonPositionSelect.value] });
+  });
+
+  sendTargetSelect.append(...SEND_TARGETS.map(createTargetOption));
+
+  sendTargetSelect.addEventListener('change', () => {
+    VidPullSettings.save({ sendTarget: sendTargetSelect.value });
+  });
+
+  debugModeInput.addEventListener('change', () => {
+    VidPullSettings.save({ debugMode: debugModeInput.checked });
+  });
+
+  modeInputs.forEach(input => {
+    input.addEventListener('change', () => {
+      if (input.checked) {
+        VidPullSettings.save({ siteMode: input.value });
+      }
+    });
+  });
+
+  /**
+   * Show all settings, or only the ones that changed
+   */
+  function applySettings(settings) {
+    if ('extensionEnabled' in settings) {
+      extensionEnabledInput.checked = settings.extensionEnabled;
+    }
+    if ('overlaysVisible' in settings) {
+      overlaysVisibleInput.checked = settings.overlaysVisible;
+    }
+    if ('buttonPosition' in settings) {
+      setPosition(settings.buttonPosition);
+    }
+    if ('siteMode' in settings) {
+      setMode(settings.siteMode);
+    }
+    if ('sendTarget' in settings) {
+      sendTargetSelect.value = settings.sendTarget;
+    }
+    if ('debugMode' in settings) {
+      debugModeInput.checked = settings.debugMode;
+    }
+    if ('httpTarget' in settings) {
+      httpTargetUrl.value = settings.httpTarget.url;
+      httpTargetAuth.value = settings.httpTarget.authHeader;
+      httpTargetBody.value = settings.httpTarget.bodyTemplate;
+    }
+    if ('filenameTemplate' in settings) {
+      filenameTemplateInput.value = settings.filenameTemplate;
+    }
+    if ('siteRules' in settings) {
+      siteRules = settings.siteRules;
+      renderSites();
+    }
+  }
+
+  function setPosition(position) {
+    const preset = Object.keys(POSITION_PRESETS).find((name) => {
+      const { xPercent, yPercent } = POSITION_PRESETS[name];
+      return position.xPercent === xPercent && position.yPercent === yPercent;
+    });
+    buttonPositionSelect.value = preset || 'custom';
+  }
+
+  // MARK: - Filenames
+
+  filenameForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      await VidPullSettings.save({ filenameTemplate: filenameTemplateInput.value });
+      showFilenameStatus(filenameTemplateInput.value.trim() ? 'Filename template saved' : 'Targets name downloads themselves');
+    } catch (error) {
+      showFilenameStatus(error.message, true);
+    }
+  });
+
+  function showFilenameStatus(message, isError = false) {
+    filenameStatus.textContent = message;
+    filenameStatus.classList.toggle('error', isError);
+  }
+
+  // MARK: - yt-dlp server
+
+  httpTargetForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      await VidPullSettings.save({
+        httpTarget: {
+          url: httpTargetUrl.value,
+          authHeader: httpTargetAuth.value,
+          bodyTemplate: httpTargetBody.value
+        }
+      });
+      showServerStatus('Server settings saved');
+    } catch (error) {
+      showServerStatus(error.message, true);
+    }
+  });
+
+  document.getElementById('httpTargetReset').addEventListener('click', () => {
+    httpTargetBody.value = DEFAULT_HTTP_BODY_TEMPLATE;
+    showServerStatus('Save to use the MeTube template');
+  });
+
+  function showServerStatus(message, isError = false) {
+    httpTargetStatus.textContent = message;
+    httpTargetStatus.classList.toggle('error', isError);
+  }
+
+  // MARK: - Sites
+
+  addSiteForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const site = normalizeSite(addSiteInput.value);
+    if (!site) {
+      addSiteInput.focus();
+      return;
+    }
+    updateRule(site, { enabled: addSiteState.value === 'allow' });
+    addSiteInput.value = '';
+  });
+
+  siteRows.addEventListener('change', (e) => {
+    const formatSelect = e.target.closest('select[data-format-site]');
+    if (formatSelect) {
+      updateRule(formatSelect.dataset.formatSite, { format: formatSelect.value || undefined });
+      return;
+    }
+    const targetSelect = e.target.closest('select[data-target-site]');
+    if (targetSelect) {
+      updateRule(targetSelect.dataset.targetSite, { target: targetSelect.value || undefined });
+      return;
+    }
+    const cookiesInput = e.target.closest('input[data-cookies-site]');
+    if (cookiesInput) {
+      updateRule(cookiesInput.dataset.cookiesSite, { shareCookies: cookiesInput.checked || undefined });
+      return;
+    }
+    const select = e.target.closest('select[data-site]');
+    if (!select) return;
+    const enabled = { allow: true, block: false }[select.value];
+    updateRule(select.dataset.site, { enabled });
+  });
+
+  siteRows.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const site = button.dataset.site;
+    if (button.dataset.action === 'reset-position') {
+      updateRule(site, { position: undefined });
+    } else if (button.dataset.action === 'remove') {
+      const { [site]: removed, ...rest } = siteRules;
+      siteRules = rest;
+      renderSites();
+      VidPullSettings.save({ siteRules: rest });
+    }
+  });
+
+  function setMode(mode) {
+    modeInputs.forEach(input => { input.checked = input.value === mode; });
+  }
+
+  function updateRule(site, patch) {
+    VidPullSettings.updateSiteRule(site, patch).then((rules) => {
+      siteRules = rules;
+      renderSites();
+    });
+  }
+
+  function renderSites() {
+    const sites = Object.keys(siteRules).sort();
+    sitesEmpty.style.display = sites.length ? 'none' : 'block';
+
+    siteRows.replaceChildren(...sites.map(site => {
+      const rule = siteRules[site];
+      const row = document.createElement('tr');
+
+      const nameCell = document.createElement('td');
+      nameCell.textContent = site;
+
+      const stateCell = document.createElement('td');
+      const select = document.createElement('select');
+      select.dataset.site = site;
+      RULE_STATES.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      select.value = rule.enabled === true ? 'allow' : rule.enabled === false ? 'block' : 'default';
+      stateCell.appendChild(select);
+
+      const positionCell = document.createElement('td');
+      positionCell.textContent = rule.position ? 'Custom' : 'Default';
+
+      const formatCell = document.createElement('td');
+      const formatSelect = document.createElement('select');
+      formatSelect.dataset.formatSite = site;
+      [{ id: '', label: 'Default' }, ...FORMATS].forEach(({ id, label }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        formatSelect.appendChild(option);
+      });
+      formatSelect.value = rule.format || '';
+      formatCell.appendChild(formatSelect);
+
+      // Extras are picked from the overlay menu or the popup
+      const extrasCell = document.createElement('td');
+      extrasCell.textContent = formatExtras(rule.extras) || 'None';
+
+      const targetCell = document.createElement('td');
+      const targetSelect = document.createElement('select');
+      targetSelect.dataset.targetSite = site;
+      targetSelect.append(...[{ id: '', label: 'Default' }, ...SEND_TARGETS].map(createTargetOption));
+      targetSelect.value = rule.target || '';
+      targetCell.appendChild(targetSelect);
+
+      const cookiesCell = document.createElement('td');
+      const cookiesLabel = document.createElement('label');
+      const cookiesInput = document.createElement('input');
+      cookiesInput.type = 'checkbox';
+      cookiesInput.dataset.cookiesSite = site;
+      cookiesInput.checked = rule.shareCookies === true;
+      cookiesLabel.append(cookiesInput, ' Share');
+      cookiesCell.appendChild(cookiesLabel);
+
+      const actionsCell = document.createElement('td');
+      const actions = document.createElement('div');
+      actions.className = 'site-actions';
+      if (rule.position) {
+        actions.appendChild(createButton('reset-position', site, 'Reset position'));
+      }
+      actions.appendChild(createButton('remove', site, 'Remove'));
+      actionsCell.appendChild(actions);
+
+      row.append(nameCell, stateCell, positionCell, formatCell, extrasCell, targetCell, cookiesCell, actionsCell);
+      return row;
+    }));
+  }
+
+  function createTargetOption({ id, label }) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    return option;
+  }
+
+  function createButton(action, site, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.action = action;
+    button.dataset.site = site;
+    button.textContent = label;
+    return button;
+  }
+
+  // MARK: - Backup and sharing
+
+  document.getElementById('exportSettings').addEventListener('click', async () => {
+    const json = await VidPullSettings.exportSettings();
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `vidpull-settings-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    showStatus('Settings exported');
+  });
+
+  document.getElementById('importSettings').addEventListener('click', () => {
+    importFile.click();
+  });
+
+  importFile.addEventListener('change', async () => {
+    const [file] = importFile.files;
+    importFile.value = '';
+    if (!file) return;
+
+    try {
+      await VidPullSettings.importSettings(await file.text());
+      showStatus(`Imported settings from ${file.name}`);
+    } catch (error) {
+      showStatus(`Could not import ${file.name}: ${error.message}`, true);
+    }
+  });
+
+  document.getElementById('resetSettings').addEventListener('click', async () => {
+    if (!confirm('Reset all VidPull settings, site rules included, to their defaults?')) return;
+    await VidPullSettings.reset();
+    showStatus('Settings reset to defaults');
+  });
+
+  function showStatus(message, isError = false) {
+    backupStatus.textContent = message;
+    backupStatus.classList.toggle('error', isError);
+  }
+});
+
+/**
+ * Accept either a bare hostname or a pasted URL
+ */
+function normalizeSite(value) {
+  const trimmed = value.trim().toLowerCase();
+  if (!trimmed) return null;
+  const site = getSiteKey(trimmed.includes('://') ? trimmed : `https://${trimmed}`);
+  return /^[a-z0-9.-]+\.[a-z]{2,}$/.test(site) || site === 'localhost' ? site : null;
+}
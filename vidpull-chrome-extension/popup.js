@@ -1,28 +1,553 @@
 // VidPull Chrome Extension - Popup Script
 
+const {
+  FORMATS,
+  DEFAULT_FORMAT,
+  EXTRAS,
+  SEND_TARGETS,
+  STORAGE_KEY_HISTORY,
+  STORAGE_KEY_SENT_INDEX,
+  SESSION_KEY_POPUP_VIEW,
+  getSiteKey,
+  getSiteRule,
+  isSiteEnabled,
+  shouldShareCookies,
+  formatClipRange,
+  formatClipTime,
+  formatTimestamp,
+  normalizeExtras,
+  formatExtras,
+  getFormatLabel,
+  getSendTargetLabel
+} = VidPullShared;
+
+const STATUS_LABELS = {
+  sent: 'Sent',
+  copied: 'Copied',
+  queued: 'Queued',
+  downloading: 'Downloading',
+  completed: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+const ACTIVE_JOBS_POLL_MS = 1000;
+
+// What the batch list calls each kind of item collect-videos finds
+const BATCH_KIND_LABELS = {
+  video: 'Video',
+  audio: 'Audio',
+  embed: 'Embed',
+  episode: 'Episode'
+};
+
 document.addEventListener('DOMContentLoaded', () => {
   const extensionEnabledCheckbox = document.getElementById('extensionEnabled');
   const overlaysVisibleCheckbox = document.getElementById('overlaysVisible');
   const shortcutLink = document.getElementById('shortcutLink');
+  const historyList = document.getElementById('historyList');
+  const historyEmpty = document.getElementById('historyEmpty');
+  const historyCount = document.getElementById('historyCount');
+  const sentIndexCount = document.getElementById('sentIndexCount');
+  const exportSentIndex = document.getElementById('exportSentIndex');
+  const clearSentIndex = document.getElementById('clearSentIndex');
+
+  let history = [];
+  let sentIndex = {};
+  let activeJobs = {};
 
   // Load current settings
-  chrome.storage.sync.get(['extensionEnabled', 'overlaysVisible'], (result) => {
-    extensionEnabledCheckbox.checked = result.extensionEnabled !== false;
-    overlaysVisibleCheckbox.checked = result.overlaysVisible !== false;
+  const settingsLoaded = VidPullSettings.load();
+  settingsLoaded.then((settings) => {
+    extensionEnabledCheckbox.checked = settings.extensionEnabled;
+    overlaysVisibleCheckbox.checked = settings.overlaysVisible;
   });
 
   // Save settings on change
   extensionEnabledCheckbox.addEventListener('change', () => {
-    chrome.storage.sync.set({ extensionEnabled: extensionEnabledCheckbox.checked });
+    VidPullSettings.save({ extensionEnabled: extensionEnabledCheckbox.checked });
   });
 
   overlaysVisibleCheckbox.addEventListener('change', () => {
-    chrome.storage.sync.set({ overlaysVisible: overlaysVisibleCheckbox.checked });
+    VidPullSettings.save({ overlaysVisible: overlaysVisibleCheckbox.checked });
+  });
+
+  // MARK: - This site
+
+  const siteSection = document.getElementById('siteSection');
+  const siteName = document.getElementById('siteName');
+  const siteStatus = document.getElementById('siteStatus');
+  const siteToggle = document.getElementById('siteToggle');
+  const siteCookies = document.getElementById('siteCookies');
+  const siteTarget = document.getElementById('siteTarget');
+  const siteExtras = document.getElementById('siteExtras');
+  const resetPosition = document.getElementById('resetPosition');
+
+  let currentSite = null;
+  let siteRules = {};
+  let siteMode = 'all';
+  let sendTarget = null;
+
+  browser.tabs.query({ active: true, currentWindow: true }).then(([tab]) => {
+    if (!tab?.url || !/^https?:/.test(tab.url)) return;
+
+    currentSite = getSiteKey(tab.url);
+    settingsLoaded.then((settings) => {
+      siteRules = settings.siteRules;
+      siteMode = settings.siteMode;
+      sendTarget = settings.sendTarget;
+      siteSection.hidden = false;
+      renderSite();
+    });
+  });
+
+  function renderSite() {
+    const enabled = isSiteEnabled(siteRules, siteMode, currentSite);
+    siteName.textContent = currentSite;
+    if (enabled) {
+      siteStatus.textContent = 'Buttons are shown on this site';
+    } else if (siteMode === 'allowlist' && getSiteRule(siteRules, currentSite).enabled !== false) {
+      siteStatus.textContent = 'Not in your allowed sites';
+    } else {
+      siteStatus.textContent = 'Buttons are hidden on this site';
+    }
+    siteToggle.textContent = enabled ? 'Disable here' : 'Enable here';
+    siteCookies.checked = shouldShareCookies(siteRules, currentSite);
+    renderSiteTarget();
+    renderSiteExtras();
+    resetPosition.style.visibility = siteRules[currentSite]?.position ? 'visible' : 'hidden';
+  }
+
+  function updateSiteRule(patch) {
+    VidPullSettings.updateSiteRule(currentSite, patch).then((rules) => {
+      siteRules = rules;
+      renderSite();
+    });
+  }
+
+  siteToggle.addEventListener('click', () => {
+    updateSiteRule({ enabled: !isSiteEnabled(siteRules, siteMode, currentSite) });
+  });
+
+  // Opt-in only: cookies are read when a download is sent and never stored
+  siteCookies.addEventListener('change', () => {
+    updateSiteRule({ shareCookies: siteCookies.checked || undefined });
+  });
+
+  function renderSiteTarget() {
+    siteTarget.replaceChildren(...[
+      { id: '', label: `Default (${getSendTargetLabel(sendTarget)})` },
+      ...SEND_TARGETS
+    ].map(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      return option;
+    }));
+    siteTarget.value = siteRules[currentSite]?.target || '';
+  }
+
+  siteTarget.addEventListener('change', () => {
+    updateSiteRule({ target: siteTarget.value || undefined });
+  });
+
+  EXTRAS.forEach(({ id, label }) => {
+    const option = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.dataset.extra = id;
+    option.append(input, label);
+    siteExtras.appendChild(option);
+  });
+
+  function renderSiteExtras() {
+    const extras = getSiteRule(siteRules, currentSite).extras || {};
+    siteExtras.querySelectorAll('input[data-extra]').forEach((input) => {
+      input.checked = !!extras[input.dataset.extra];
+    });
+    // Languages picked in the overlay menu; none means whatever the page offers
+    const languages = extras.subtitles?.join(', ');
+    siteExtras.querySelector('input[data-extra="subtitles"]').parentElement.title = languages
+      ? `Languages: ${languages}`
+      : 'Languages found on the page';
+  }
+
+  siteExtras.addEventListener('change', (e) => {
+    const input = e.target.closest('input[data-extra]');
+    if (!input) return;
+
+    const extras = { ...getSiteRule(siteRules, currentSite).extras };
+    if (input.dataset.extra === 'subtitles') {
+      extras.subtitles = input.checked ? (extras.subtitles || []) : undefined;
+    } else {
+      extras[input.dataset.extra] = input.checked || undefined;
+    }
+    updateSiteRule({ extras: normalizeExtras(extras) || undefined });
+  });
+
+  resetPosition.addEventListener('click', (e) => {
+    e.preventDefault();
+    updateSiteRule({ position: undefined });
   });
 
-  // Open Chrome keyboard shortcuts page
+  document.getElementById('manageSites').addEventListener('click', (e) => {
+    e.preventDefault();
+    browser.runtime.openOptionsPage();
+  });
+
+  // Open the browser's keyboard shortcuts page
   shortcutLink.addEventListener('click', (e) => {
     e.preventDefault();
-    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    VidPullBrowser.openShortcutSettings();
+  });
+
+  // Load download history, recorded by the background script
+  browser.storage.local.get([STORAGE_KEY_HISTORY, STORAGE_KEY_SENT_INDEX]).then((result) => {
+    history = result[STORAGE_KEY_HISTORY] || [];
+    sentIndex = result[STORAGE_KEY_SENT_INDEX] || {};
+    renderHistory();
+    renderSentIndex();
+  });
+
+  browser.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes[STORAGE_KEY_HISTORY]) {
+      history = changes[STORAGE_KEY_HISTORY].newValue || [];
+      renderHistory();
+    }
+    if (namespace === 'local' && changes[STORAGE_KEY_SENT_INDEX]) {
+      sentIndex = changes[STORAGE_KEY_SENT_INDEX].newValue || {};
+      renderSentIndex();
+    }
+  });
+
+  // Percentages aren't written to history, ask the background script for them
+  function refreshActiveJobs() {
+    browser.runtime.sendMessage({ action: 'get-active-jobs' }).then((response) => {
+      const jobs = {};
+      (response?.jobs || []).forEach(job => { jobs[job.jobId] = job; });
+      const changed = JSON.stringify(jobs) !== JSON.stringify(activeJobs);
+      activeJobs = jobs;
+      if (changed) renderHistory();
+    }).catch(() => {});
+  }
+  refreshActiveJobs();
+  setInterval(refreshActiveJobs, ACTIVE_JOBS_POLL_MS);
+
+  historyList.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const entry = history.find(item => item.id === button.closest('.history-item').dataset.id);
+    if (!entry) return;
+
+    switch (button.dataset.action) {
+      case 'resend':
+        resend(entry, button);
+        break;
+      case 'copy':
+        navigator.clipboard.writeText(entry.url).then(() => flashButton(button, 'Copied'));
+        break;
+      case 'remove':
+        browser.runtime.sendMessage({ action: 'remove-history', id: entry.id });
+        break;
+    }
+  });
+
+  function resend(entry, button) {
+    browser.tabs.query({ active: true, currentWindow: true }).then((tabs) => {
+      return browser.runtime.sendMessage({
+        action: 'resend-download',
+        tabId: tabs[0]?.id,
+        request: {
+          url: entry.url,
+          format: entry.format,
+          title: entry.title,
+          pageUrl: entry.pageUrl,
+          headers: entry.headers,
+          clip: entry.clip,
+          playlist: entry.playlist,
+          items: entry.items,
+          extras: entry.extras || null,
+          metadata: entry.metadata,
+          target: entry.target
+        }
+      });
+    }).then((result) => {
+      if (result?.command) {
+        navigator.clipboard.writeText(result.command).then(() => flashButton(button, 'Copied'));
+      }
+    });
+  }
+
+  function renderHistory() {
+    historyList.replaceChildren(...history.map(renderHistoryItem));
+    historyEmpty.style.display = history.length ? 'none' : 'block';
+    historyCount.textContent = history.length ? `${history.length} recent` : '';
+  }
+
+  function renderHistoryItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    item.dataset.id = entry.id;
+
+    const topRow = document.createElement('div');
+    topRow.className = 'history-row';
+
+    const title = document.createElement('span');
+    title.className = 'history-title';
+    title.textContent = entry.title || entry.url;
+    title.title = entry.url;
+
+    const status = document.createElement('span');
+    status.className = `history-status status-${entry.status}`;
+    const job = activeJobs[entry.jobId];
+    if (job?.state === 'downloading' && typeof job.percent === 'number') {
+      status.className = 'history-status status-downloading';
+      status.textContent = `${Math.round(job.percent)}%`;
+    } else {
+      status.textContent = STATUS_LABELS[entry.status] || entry.status;
+    }
+    if (entry.error) {
+      status.title = entry.error;
+    }
+
+    topRow.append(title, status);
+
+    const bottomRow = document.createElement('div');
+    bottomRow.className = 'history-row';
+
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = [
+      entry.site,
+      entry.format ? getFormatLabel(entry.format) : 'Default format',
+      entry.clip ? `Clip ${formatClipRange(entry.clip)}` : null,
+      entry.playlist ? (entry.items ? `Playlist items ${entry.items}` : 'Playlist') : null,
+      entry.target && entry.target !== 'app' ? getSendTargetLabel(entry.target) : null,
+      formatExtras(entry.extras) || null,
+      entry.cookiesShared ? 'With login' : null,
+      formatTimestamp(entry.timestamp)
+    ].filter(Boolean).join(' · ');
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    actions.append(
+      createActionButton('resend', 'Re-send', 'Send again'),
+      createActionButton('copy', 'Copy', 'Copy URL'),
+      createActionButton('remove', 'Remove', 'Remove from history')
+    );
+
+    bottomRow.append(meta, actions);
+    item.append(topRow, bottomRow);
+    return item;
+  }
+
+  function renderSentIndex() {
+    const count = Object.keys(sentIndex).length;
+    sentIndexCount.textContent = count
+      ? `${count} ${count === 1 ? 'video' : 'videos'} marked as sent`
+      : 'No videos marked as sent';
+    exportSentIndex.disabled = clearSentIndex.disabled = count === 0;
+  }
+
+  exportSentIndex.addEventListener('click', () => {
+    const entries = Object.entries(sentIndex)
+      .map(([key, entry]) => ({ key, ...entry }))
+      .sort((a, b) => b.timestamp - a.timestamp);
+    const json = JSON.stringify({ exportedAt: new Date().toISOString(), entries }, null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `vidpull-sent-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  });
+
+  // Overlays stop asking before re-sending, so take a second click to clear
+  clearSentIndex.addEventListener('click', () => {
+    if (!clearSentIndex.dataset.confirming) {
+      clearSentIndex.dataset.confirming = 'true';
+      clearSentIndex.textContent = 'Confirm';
+      setTimeout(() => {
+        delete clearSentIndex.dataset.confirming;
+        clearSentIndex.textContent = 'Clear';
+      }, 3000);
+      return;
+    }
+    browser.runtime.sendMessage({ action: 'clear-sent-index' });
+  });
+
+  function createActionButton(action, label, title) {
+    const button = document.createElement('button');
+    button.dataset.action = action;
+    button.textContent = label;
+    button.title = title;
+    return button;
+  }
+
+  function flashButton(button, label) {
+    const original = button.textContent;
+    button.textContent = label;
+    setTimeout(() => { button.textContent = original; }, 1200);
+  }
+
+  // MARK: - Batch "grab all videos"
+
+  const mainView = document.getElementById('mainView');
+  const batchView = document.getElementById('batchView');
+  const batchList = document.getElementById('batchList');
+  const batchEmpty = document.getElementById('batchEmpty');
+  const batchSummary = document.getElementById('batchSummary');
+  const batchSelectAll = document.getElementById('batchSelectAll');
+  const batchFormat = document.getElementById('batchFormat');
+  const batchSend = document.getElementById('batchSend');
+  const batchStatus = document.getElementById('batchStatus');
+
+  let batchTab = null;
+  let batchVideos = [];
+
+  FORMATS.forEach(({ id, label }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    batchFormat.appendChild(option);
+  });
+  batchFormat.value = DEFAULT_FORMAT;
+
+  document.getElementById('grabAll').addEventListener('click', showBatchView);
+  document.getElementById('batchBack').addEventListener('click', () => {
+    batchView.hidden = true;
+    mainView.hidden = false;
+  });
+
+  // Opened from the grab-all keyboard command
+  browser.storage.session.get(SESSION_KEY_POPUP_VIEW).then((result) => {
+    if (result[SESSION_KEY_POPUP_VIEW] === 'batch') {
+      browser.storage.session.remove(SESSION_KEY_POPUP_VIEW);
+      showBatchView();
+    }
+  });
+
+  function showBatchView() {
+    mainView.hidden = true;
+    batchView.hidden = false;
+    batchStatus.textContent = 'Looking for videos...';
+    batchList.replaceChildren();
+
+    browser.tabs.query({ active: true, currentWindow: true }).then(([tab]) => {
+      batchTab = tab;
+      if (!tab?.id) {
+        renderBatch([]);
+        return;
+      }
+      // Frames with no content script (e.g. chrome:// pages) just add nothing
+      browser.runtime.sendMessage({ action: 'collect-tab-videos', tabId: tab.id }).then((response) => {
+        renderBatch(response?.videos || []);
+      }).catch(() => {
+        renderBatch([]);
+      });
+    });
+  }
+
+  function renderBatch(videos) {
+    batchVideos = videos;
+    batchStatus.textContent = '';
+    batchEmpty.hidden = videos.length > 0;
+    batchSelectAll.checked = true;
+    batchSelectAll.disabled = videos.length === 0;
+
+    batchList.replaceChildren(...videos.map((video, index) => {
+      const item = document.createElement('li');
+
+      const label = document.createElement('label');
+      label.className = 'batch-item';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = true;
+      checkbox.dataset.index = index;
+
+      const text = document.createElement('span');
+      text.className = 'batch-item-text';
+
+      const title = document.createElement('span');
+      title.className = 'history-title';
+      title.textContent = video.title || video.url;
+      title.title = video.url;
+
+      const meta = document.createElement('span');
+      meta.className = 'history-meta';
+      meta.textContent = [
+        BATCH_KIND_LABELS[video.kind] || 'Video',
+        video.duration && formatClipTime(video.duration),
+        video.start && `From ${formatClipTime(video.start)}`,
+        video.url
+      ].filter(Boolean).join(' · ');
+
+      text.append(title, meta);
+      label.append(checkbox, text);
+      item.appendChild(label);
+      return item;
+    }));
+
+    updateBatchSummary();
+  }
+
+  function getSelectedVideos() {
+    return Array.from(batchList.querySelectorAll('input[type="checkbox"]:checked'))
+      .map(checkbox => batchVideos[Number(checkbox.dataset.index)]);
+  }
+
+  function updateBatchSummary() {
+    const selected = getSelectedVideos().length;
+    batchSummary.textContent = `${selected} of ${batchVideos.length} selected`;
+    batchSend.textContent = selected === 1 ? 'Send 1 video' : `Send ${selected} videos`;
+    batchSend.disabled = selected === 0;
+  }
+
+  batchList.addEventListener('change', () => {
+    const checkboxes = batchList.querySelectorAll('input[type="checkbox"]');
+    batchSelectAll.checked = Array.from(checkboxes).every(checkbox => checkbox.checked);
+    updateBatchSummary();
+  });
+
+  batchSelectAll.addEventListener('change', () => {
+    batchList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = batchSelectAll.checked;
+    });
+    updateBatchSummary();
+  });
+
+  batchSend.addEventListener('click', () => {
+    const videos = getSelectedVideos();
+    if (videos.length === 0) return;
+
+    batchSend.disabled = true;
+    batchStatus.textContent = `Sending ${videos.length}...`;
+
+    browser.runtime.sendMessage({
+      action: 'dispatch-batch',
+      videos,
+      format: batchFormat.value,
+      tabId: batchTab?.id,
+      pageUrl: batchTab?.url
+    }).then((summary) => {
+      if (summary.error) {
+        batchStatus.textContent = `Sending failed: ${summary.error}`;
+        updateBatchSummary();
+        return;
+      }
+      const parts = [`Sent ${summary.sent}`];
+      if (summary.failed) parts.push(`${summary.failed} failed`);
+      batchStatus.textContent = parts.join(', ');
+      if (summary.fallback && videos.length > 1) {
+        batchStatus.textContent += '. Without the native host the app receives one URL at a time.';
+      }
+      if (summary.command) {
+        navigator.clipboard.writeText(summary.command).then(() => {
+          batchStatus.textContent += '. yt-dlp commands copied.';
+        });
+      }
+      updateBatchSummary();
+    });
   });
 });
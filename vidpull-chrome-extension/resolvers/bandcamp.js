@@ -0,0 +1,41 @@
+// VidPull resolver - Bandcamp
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  const PAGE_PATTERN = /^https?:\/\/[^/]+\.bandcamp\.com\/(track|album)\/[^/?#]+/;
+
+  registerResolver({
+    id: 'bandcamp',
+    hosts: ['bandcamp.com'],
+    audio: true,
+
+    /**
+     * Bandcamp's embed code puts a link to the track or album page inside the
+     * <iframe>, which is the only place the page's address appears; without
+     * it the player URL is sent for yt-dlp to look at
+     */
+    parseEmbed(src, iframe) {
+      const match = src.match(/bandcamp\.com\/EmbeddedPlayer\/(?:v=2\/)?.*?\b(track|album)=(\d+)/);
+      if (!match) return null;
+      const fallbackLink = iframe?.textContent.match(/href=["']([^"']+)["']/)?.[1];
+      if (fallbackLink && PAGE_PATTERN.test(fallbackLink)) {
+        return this.canonicalize(new URL(fallbackLink));
+      }
+      return `https://bandcamp.com/EmbeddedPlayer/${match[1]}=${match[2]}/`;
+    },
+
+    findPermalink(element, context) {
+      const pageUrl = utils.getPagePermalink(context, PAGE_PATTERN);
+      return pageUrl ? this.canonicalize(new URL(pageUrl)) : null;
+    },
+
+    canonicalize(urlObj) {
+      const match = urlObj.pathname.match(/^\/(track|album)\/([^/]+)/);
+      if (!match || urlObj.hostname === 'bandcamp.com') return null;
+      return `https://${urlObj.hostname}/${match[1]}/${match[2]}`;
+    }
+  });
+})(globalThis);
@@ -0,0 +1,33 @@
+// VidPull resolver - Bluesky
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  const POST_CONTAINER_SELECTOR = '[data-testid^="feedItem-by-"], [data-testid^="postThreadItem-by-"]';
+
+  function isPostLink(href) {
+    return /\/profile\/[^/]+\/post\/[^/?#]+$/.test(href.split('?')[0]);
+  }
+
+  registerResolver({
+    id: 'bluesky',
+    hosts: ['bsky.app'],
+
+    parseEmbed(src) {
+      const match = src.match(/embed\.bsky\.app\/embed\/(did:[^/]+)\/app\.bsky\.feed\.post\/([^/?#]+)/);
+      return match ? `https://bsky.app/profile/${match[1]}/post/${match[2]}` : null;
+    },
+
+    findPermalink(video, context) {
+      // Quoted posts sit inside the outer post, so prefer the closest post link
+      const post = video.closest(POST_CONTAINER_SELECTOR);
+      if (post) {
+        const link = utils.findClosestLink(video, post, 'a[href*="/post/"]', isPostLink);
+        if (link) return link;
+      }
+      return utils.getPagePermalink(context, /bsky\.app\/profile\/[^/]+\/post\/[^/?#]+/);
+    }
+  });
+})(globalThis);
@@ -0,0 +1,21 @@
+// VidPull resolver - Dailymotion
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  registerResolver({
+    id: 'dailymotion',
+    hosts: ['dailymotion.com', 'dai.ly'],
+
+    parseEmbed(src) {
+      const match = src.match(/dailymotion\.com\/embed\/video\/([^?&/]+)/);
+      return match ? `https://www.dailymotion.com/video/${match[1]}` : null;
+    },
+
+    findPermalink(video, context) {
+      return utils.getPagePermalink(context, /^https?:\/\/(www\.)?dailymotion\.com\/video\/[^/?#]+/);
+    }
+  });
+})(globalThis);
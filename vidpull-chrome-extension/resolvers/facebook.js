@@ -0,0 +1,40 @@
+// VidPull resolver - Facebook
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  registerResolver({
+    id: 'facebook',
+    hosts: ['facebook.com', 'fb.watch'],
+
+    parseEmbed(src) {
+      const match = src.match(/facebook\.com\/plugins\/video\.php\?.*?href=([^&]+)/);
+      return match ? decodeURIComponent(match[1]) : null;
+    },
+
+    findPermalink(video, context) {
+      // Feed posts link their video through the timestamp or a /videos/ link
+      const post = video.closest('[role="article"]');
+      if (post) {
+        const link = utils.findClosestLink(video, post, 'a[href*="/videos/"], a[href*="/reel/"], a[href*="/watch/?v="]');
+        if (link) return this.canonicalize(new URL(link)) || link;
+      }
+      const pageUrl = utils.getPagePermalink(context, /^https?:\/\/(www\.|m\.)?facebook\.com\/(.+\/videos\/|reel\/|watch\/?\?v=)/);
+      return pageUrl ? this.canonicalize(new URL(pageUrl)) || pageUrl : null;
+    },
+
+    // Feed links carry per-visit tracking parameters (__cft__, __tn__)
+    canonicalize(urlObj) {
+      const watchId = /^\/watch\/?$/.test(urlObj.pathname) && urlObj.searchParams.get('v');
+      if (watchId) return `https://www.facebook.com/watch/?v=${watchId}`;
+
+      const video = urlObj.pathname.match(/^\/([^/]+)\/videos\/(?:[^/]+\/)?(\d+)/);
+      if (video) return `https://www.facebook.com/${video[1]}/videos/${video[2]}/`;
+
+      const reel = urlObj.pathname.match(/^\/reel\/(\d+)/);
+      return reel ? `https://www.facebook.com/reel/${reel[1]}/` : null;
+    }
+  });
+})(globalThis);
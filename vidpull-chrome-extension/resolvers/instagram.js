@@ -0,0 +1,38 @@
+// VidPull resolver - Instagram
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  const POST_PATH = /^\/(?:[^/]+\/)?(p|reel|reels|tv)\/([^/?#]+)/;
+  const POST_LINK_SELECTOR = 'a[href*="/p/"], a[href*="/reel/"], a[href*="/tv/"]';
+
+  registerResolver({
+    id: 'instagram',
+    hosts: ['instagram.com'],
+
+    parseEmbed(src) {
+      const match = src.match(/instagram\.com\/(p|reel|tv)\/([^/?#]+)\/embed/);
+      return match ? `https://www.instagram.com/${match[1]}/${match[2]}/` : null;
+    },
+
+    findPermalink(video, context) {
+      // Feed posts are <article>s whose timestamp links to the post
+      const post = video.closest('article');
+      if (post) {
+        const link = utils.findClosestLink(video, post, POST_LINK_SELECTOR);
+        if (link) return this.canonicalize(new URL(link));
+      }
+      const pageUrl = utils.getPagePermalink(context, /instagram\.com\/(?:[^/]+\/)?(p|reel|reels|tv)\//);
+      return pageUrl ? this.canonicalize(new URL(pageUrl)) : null;
+    },
+
+    canonicalize(urlObj) {
+      const match = urlObj.pathname.match(POST_PATH);
+      if (!match) return null;
+      const type = match[1] === 'reels' ? 'reel' : match[1];
+      return `https://www.instagram.com/${type}/${match[2]}/`;
+    }
+  });
+})(globalThis);
@@ -0,0 +1,27 @@
+// VidPull resolver - Loom
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  registerResolver({
+    id: 'loom',
+    hosts: ['loom.com'],
+
+    parseEmbed(src) {
+      const match = src.match(/loom\.com\/embed\/([0-9a-f]+)/i);
+      return match ? `https://www.loom.com/share/${match[1]}` : null;
+    },
+
+    findPermalink(video, context) {
+      const pageUrl = utils.getPagePermalink(context, /loom\.com\/(share|embed)\/[0-9a-f]+/i);
+      return pageUrl ? this.canonicalize(new URL(pageUrl)) : null;
+    },
+
+    canonicalize(urlObj) {
+      const match = urlObj.pathname.match(/^\/(?:share|embed)\/([0-9a-f]+)/i);
+      return match ? `https://www.loom.com/share/${match[1]}` : null;
+    }
+  });
+})(globalThis);
@@ -0,0 +1,33 @@
+// VidPull resolver - Mastodon
+// Instances live on any domain, so pages are recognized by the web app's markup
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  const STATUS_LINK_SELECTOR = 'a.status__relative-time, a.detailed-status__datetime';
+
+  registerResolver({
+    id: 'mastodon',
+    hosts: ['mastodon.social', 'mastodon.online', 'mstdn.social'],
+
+    matchesDocument(doc) {
+      return !!doc?.getElementById('mastodon');
+    },
+
+    parseEmbed(src) {
+      const match = src.match(/^(https?:\/\/[^/]+\/@[^/]+\/\d+)\/embed/);
+      return match ? match[1] : null;
+    },
+
+    findPermalink(video, context) {
+      const status = video.closest('.status, .detailed-status, article');
+      if (status) {
+        const link = status.querySelector(STATUS_LINK_SELECTOR);
+        if (link?.href) return link.href;
+      }
+      return utils.getPagePermalink(context, /^https?:\/\/[^/]+\/@[^/]+\/\d+/);
+    }
+  });
+})(globalThis);
@@ -0,0 +1,62 @@
+// VidPull resolver - Reddit
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  // Link to a post's comments, which is its permalink
+  const POST_PATTERN = /^https?:\/\/([a-z]+\.)?reddit\.com\/r\/[^/]+\/comments\//;
+
+  /**
+   * The first comments link at each level up from the video, closest first:
+   * the post's own, then ones further out such as a crosspost's original
+   */
+  function findCommentsLinks(video) {
+    const links = [];
+    let element = video.parentElement;
+    let depth = 0;
+    const maxDepth = 15;
+
+    while (element && depth < maxDepth) {
+      const redditLink = element.querySelector('a[href*="/comments/"]');
+      if (redditLink && !links.includes(redditLink.href)) {
+        links.push(redditLink.href);
+      }
+
+      element = element.parentElement;
+      depth++;
+    }
+
+    return links;
+  }
+
+  registerResolver({
+    id: 'reddit',
+    hosts: ['reddit.com', 'redd.it'],
+    // Reddit posts are also linked from aggregators and embeds
+    anyPage: true,
+
+    parseEmbed(src) {
+      const match = src.match(/embed\.reddit\.com\/(r\/[^/]+\/comments\/[^/?#]+)/);
+      return match ? `https://www.reddit.com/${match[1]}/` : null;
+    },
+
+    findPermalink(video, context) {
+      // Walk up the DOM tree looking for the post's comments link
+      return findCommentsLinks(video)[0] || utils.getPagePermalink(context, POST_PATTERN);
+    },
+
+    findPermalinks(video, context) {
+      return [...findCommentsLinks(video), utils.getPagePermalink(context, POST_PATTERN)];
+    },
+
+    // The post id, from /comments/ID/ links on any subdomain or redd.it/ID
+    getVideoId(urlObj) {
+      if (urlObj.hostname === 'redd.it') {
+        return urlObj.pathname.match(/^\/(\w+)\/?$/)?.[1] || null;
+      }
+      return urlObj.pathname.match(/\/comments\/(\w+)/)?.[1] || null;
+    }
+  });
+})(globalThis);
@@ -0,0 +1,446 @@
+// VidPull Chrome Extension - Site Resolver Registry
+// Each supported site registers a resolver describing how to recognize its
+// pages, turn its embed players into watch URLs and find a video's permalink.
+// Resolvers only touch the document and location they are given, so they can
+// be run against saved HTML pages as well as the live tab. Outside the browser
+// the registry and site files can be loaded with require().
+
+(function(root) {
+  'use strict';
+
+  const resolvers = [];
+
+  const METADATA_FIELDS = ['title', 'uploader', 'date', 'duration', 'thumbnail'];
+
+  /**
+   * Register a site resolver
+   * @param {Object} resolver
+   * @param {string} resolver.id - Short identifier, e.g. 'youtube'
+   * @param {string[]} resolver.hosts - Domains the site is served from (subdomains match too)
+   * @param {Function} [resolver.matchesDocument] - (document) => true for pages of the site on other hosts
+   * @param {Function} [resolver.parseEmbed] - (src, iframe?) => watch URL for an embed player URL, or null;
+   *   the <iframe> is passed when there is one, for embed codes that keep the link inside it
+   * @param {Function} [resolver.findPermalink] - (element, context) => permalink for a video in the page, or null
+   * @param {Function} [resolver.findPermalinks] - (element, context) => every link the video could belong to,
+   *   findPermalink's first, for the URL inspector; defaults to findPermalink's one
+   * @param {Function} [resolver.canonicalize] - (urlObj) => cleaned URL for one of the site's links, or null
+   * @param {Function} [resolver.getVideoId] - (urlObj) => the site's id for the video a link points at, or
+   *   null, so every link to a video maps to one key (see getVideoKey)
+   * @param {Function} [resolver.getStartTime] - (urlObj) => seconds into the video a link starts playing at,
+   *   or null; canonicalize leaves it out
+   * @param {Function} [resolver.findCollection] - (element, context) => { url, title?, count?, kind } for the
+   *   playlist, channel or collection the video is shown as part of, or null
+   * @param {Function} [resolver.findMetadata] - (element, context) => { title?, uploader?, date?, duration?,
+   *   thumbnail? } the page shows for the video, or null
+   * @param {boolean} [resolver.anyPage] - Also run findPermalink on pages of other sites
+   * @param {boolean} [resolver.audio] - The site plays audio, so its links download as audio by default
+   */
+  function registerResolver(resolver) {
+    if (!resolver?.id || !Array.isArray(resolver.hosts)) {
+      throw new Error('Resolvers need an id and a hosts list');
+    }
+    if (resolvers.some(r => r.id === resolver.id)) {
+      throw new Error(`Resolver "${resolver.id}" is already registered`);
+    }
+    resolvers.push(resolver);
+  }
+
+  function getResolvers() {
+    return resolvers.slice();
+  }
+
+  function matchesHost(resolver, hostname) {
+    return resolver.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  }
+
+  /**
+   * Resolver for a link or page URL, by hostname
+   */
+  function getResolverForUrl(url) {
+    try {
+      const { hostname } = new URL(url);
+      return resolvers.find(resolver => matchesHost(resolver, hostname)) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolvers that handle the page described by context, most specific first
+   * @param {Object} context - { document, location }
+   */
+  function getPageResolvers(context) {
+    const hostname = context.location?.hostname || '';
+    return resolvers.filter(resolver =>
+      matchesHost(resolver, hostname) || resolver.matchesDocument?.(context.document)
+    );
+  }
+
+  /**
+   * Turn an embedded player URL into the video's watch URL
+   * @param {HTMLIFrameElement} [iframe] - The player's frame, when there is one
+   */
+  function parseEmbedUrl(src, iframe) {
+    if (!src) return null;
+
+    for (const resolver of resolvers) {
+      const url = resolver.parseEmbed?.(src, iframe);
+      if (url) return url;
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the permalink for a video element, trying the current site's resolvers
+   * first and then the ones that also apply on other sites
+   * @param {HTMLElement} element - The video element
+   * @param {Object} context - { document, location } of the page the element lives in
+   */
+  function findPermalink(element, context) {
+    for (const resolver of getPermalinkResolvers(context)) {
+      const permalink = resolver.findPermalink?.(element, context);
+      if (permalink) return permalink;
+    }
+
+    return null;
+  }
+
+  /**
+   * Every permalink the resolvers can find for a video element, in the order
+   * findPermalink tries them, so the first is the one it would pick
+   * @param {HTMLElement} element - The video element
+   * @param {Object} context - { document, location } of the page the element lives in
+   * @returns {Array<{url: string, resolver: string}>} resolver is the id that found the link
+   */
+  function findPermalinkCandidates(element, context) {
+    const candidates = [];
+
+    for (const resolver of getPermalinkResolvers(context)) {
+      const urls = resolver.findPermalinks
+        ? resolver.findPermalinks(element, context)
+        : [resolver.findPermalink?.(element, context)];
+      urls.forEach((url) => {
+        if (url && !candidates.some(candidate => candidate.url === url)) {
+          candidates.push({ url, resolver: resolver.id });
+        }
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * The current site's resolvers, then the ones that also apply on other sites
+   */
+  function getPermalinkResolvers(context) {
+    const pageResolvers = getPageResolvers(context);
+    return [...pageResolvers, ...resolvers.filter(r => r.anyPage && !pageResolvers.includes(r))];
+  }
+
+  /**
+   * Find the playlist, channel or collection a video is being watched in, so
+   * it can be offered alongside the single video
+   * @param {HTMLElement} element - The video element
+   * @param {Object} context - { document, location } of the page the element lives in
+   * @returns {{url: string, title?: string, count?: number, kind: string}|null}
+   */
+  function findCollection(element, context) {
+    for (const resolver of getPageResolvers(context)) {
+      const collection = resolver.findCollection?.(element, context);
+      if (collection) return collection;
+    }
+
+    return null;
+  }
+
+  /**
+   * Collect what the page says about a video: the site's resolvers first, then
+   * the page's JSON-LD VideoObject and og: tags when they describe the same
+   * video. The first value found for each field wins.
+   * @param {HTMLElement} element - The video element
+   * @param {Object} context - { document, location } of the page the element lives in
+   * @param {string} url - The video's URL, to tell the page's own video from others
+   * @returns {{title?: string, uploader?: string, date?: string, duration?: number, thumbnail?: string}|null}
+   *   with date as YYYY-MM-DD and duration in seconds
+   */
+  function findMetadata(element, context, url) {
+    const pageResolvers = getPageResolvers(context);
+    const fallbackResolvers = resolvers.filter(r => r.anyPage && !pageResolvers.includes(r));
+    const sources = [...pageResolvers, ...fallbackResolvers].map(resolver => () => resolver.findMetadata?.(element, context));
+    sources.push(() => findJsonLdMetadata(context, url), () => findOpenGraphMetadata(context, url));
+
+    const metadata = {};
+    for (const source of sources) {
+      const found = source();
+      if (!found) continue;
+      METADATA_FIELDS.forEach((field) => {
+        if (metadata[field] != null) return;
+        const value = normalizeMetadataValue(field, found[field]);
+        if (value != null) metadata[field] = value;
+      });
+      if (METADATA_FIELDS.every(field => metadata[field] != null)) break;
+    }
+
+    return Object.keys(metadata).length > 0 ? metadata : null;
+  }
+
+  /**
+   * The page's schema.org VideoObject for url: one that links to the video, or
+   * an unlinked one when it is the only one and the page is the video's page.
+   * Sites that navigate without reloading can leave the tags of an earlier
+   * video behind, so ones linking elsewhere are never used.
+   */
+  function findJsonLdMetadata(context, url) {
+    const videoKey = getVideoKey(url);
+    const videos = [];
+    for (const script of context.document?.querySelectorAll('script[type="application/ld+json"]') || []) {
+      try {
+        collectVideoObjects(JSON.parse(script.textContent), videos);
+      } catch (e) {
+        // Pages ship broken JSON-LD now and then
+      }
+    }
+
+    const getLinks = item => [item.url, item.contentUrl, item.embedUrl, item['@id']]
+      .filter(link => typeof link === 'string' && /^https?:/.test(link));
+    const video = videos.find(item => getLinks(item).some(link => getVideoKey(link) === videoKey)) ||
+      (videos.length === 1 && getLinks(videos[0]).length === 0 && isPageVideo(context, videoKey) ? videos[0] : null);
+    if (!video) return null;
+
+    const author = [].concat(video.author || video.creator || [])[0];
+    const thumbnail = [].concat(video.thumbnailUrl || video.thumbnail || [])[0];
+    return {
+      title: video.name,
+      uploader: typeof author === 'string' ? author : author?.name,
+      date: video.uploadDate || video.datePublished,
+      duration: video.duration,
+      thumbnail: typeof thumbnail === 'string' ? thumbnail : thumbnail?.url || thumbnail?.contentUrl
+    };
+  }
+
+  function collectVideoObjects(node, videos) {
+    if (Array.isArray(node)) {
+      node.forEach(item => collectVideoObjects(item, videos));
+    } else if (node && typeof node === 'object') {
+      if ([].concat(node['@type']).includes('VideoObject')) videos.push(node);
+      if (node['@graph']) collectVideoObjects(node['@graph'], videos);
+      if (node.video) collectVideoObjects(node.video, videos);
+    }
+  }
+
+  /**
+   * The page's og: tags, when they are about the video: og:url names it, or
+   * there is no og:url and the page is the video's page
+   */
+  function findOpenGraphMetadata(context, url) {
+    const document = context.document;
+    if (!document) return null;
+
+    const getMeta = (...names) => {
+      for (const name of names) {
+        const meta = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+        if (meta?.content) return meta.content;
+      }
+      return null;
+    };
+
+    const videoKey = getVideoKey(url);
+    const ogUrl = getMeta('og:url');
+    if (ogUrl ? getVideoKey(ogUrl) !== videoKey : !isPageVideo(context, videoKey)) return null;
+
+    return {
+      title: getMeta('og:title', 'twitter:title'),
+      uploader: getMeta('author', 'article:author'),
+      date: getMeta('video:release_date', 'article:published_time', 'og:video:release_date'),
+      duration: Number(getMeta('video:duration', 'og:video:duration')) || null,
+      thumbnail: getMeta('og:image', 'twitter:image')
+    };
+  }
+
+  function isPageVideo(context, videoKey) {
+    const href = context.location?.href;
+    return Boolean(href) && getVideoKey(href) === videoKey;
+  }
+
+  /**
+   * A metadata value in the shape findMetadata returns, or null when unusable
+   */
+  function normalizeMetadataValue(field, value) {
+    if (value == null || value === '') return null;
+    if (field === 'date') return parseDate(value);
+    if (field === 'duration') {
+      const seconds = typeof value === 'number' ? value : parseDuration(String(value));
+      return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds) : null;
+    }
+    if (typeof value !== 'string') return null;
+    const text = value.replace(/\s+/g, ' ').trim();
+    return text || null;
+  }
+
+  /**
+   * YYYY-MM-DD from an ISO date or date-time (the date as written, not
+   * shifted to the local time zone), or null
+   */
+  function parseDate(value) {
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/) || String(value).match(/^(\d{4})(\d{2})(\d{2})$/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  }
+
+  /**
+   * Seconds from an ISO 8601 duration such as "PT1H2M3S", or from plain seconds
+   */
+  function parseDuration(text) {
+    if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+    const match = text.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+    if (!match) return null;
+    const [, days, hours, minutes, seconds] = match.map(Number);
+    return (days || 0) * 86400 + (hours || 0) * 3600 + (minutes || 0) * 60 + (seconds || 0);
+  }
+
+  /**
+   * Clean a URL using the resolver for its site, returning it unchanged when
+   * no resolver knows better
+   */
+  function canonicalizeUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      const resolver = getResolverForUrl(url);
+      return resolver?.canonicalize?.(urlObj) || url;
+    } catch (e) {
+      // If URL parsing fails, return original
+      return url;
+    }
+  }
+
+  /**
+   * Key that every URL of the same video maps to, for recognizing videos that
+   * were sent before: "<resolver id>:<video id>" when the site's resolver
+   * knows the id, otherwise the cleaned URL without its fragment
+   */
+  function getVideoKey(url) {
+    try {
+      const urlObj = new URL(url);
+      const resolver = getResolverForUrl(url);
+      const videoId = resolver?.getVideoId?.(urlObj);
+      if (videoId) return `${resolver.id}:${videoId}`;
+
+      const cleaned = new URL(resolver?.canonicalize?.(urlObj) || url);
+      cleaned.hash = '';
+      cleaned.hostname = cleaned.hostname.replace(/^www\./, '');
+      return cleaned.href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * Seconds into the video a link starts playing at (e.g. YouTube's t=), or
+   * null. Canonical URLs don't keep it, so it's sent as a clip start instead.
+   */
+  function getStartTime(url) {
+    try {
+      return getResolverForUrl(url)?.getStartTime?.(new URL(url)) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // MARK: - Helpers shared by resolvers
+
+  /**
+   * Calculate a simple DOM distance between two elements
+   * Lower number = closer in the DOM tree
+   */
+  function getDomDistance(el1, el2) {
+    const path1 = getPathToRoot(el1);
+    const path2 = getPathToRoot(el2);
+
+    // Find common ancestor
+    let commonDepth = 0;
+    while (commonDepth < path1.length && commonDepth < path2.length &&
+           path1[path1.length - 1 - commonDepth] === path2[path2.length - 1 - commonDepth]) {
+      commonDepth++;
+    }
+
+    // Distance = steps from el1 to common ancestor + steps from common ancestor to el2
+    return (path1.length - commonDepth) + (path2.length - commonDepth);
+  }
+
+  /**
+   * Get path from element to document root
+   */
+  function getPathToRoot(el) {
+    const path = [];
+    while (el) {
+      path.push(el);
+      el = el.parentElement;
+    }
+    return path;
+  }
+
+  /**
+   * Of the links matching selector inside container, the one closest to element
+   * @param {Function} [accept] - Extra check on the link's href
+   */
+  function findClosestLink(element, container, selector, accept = () => true) {
+    let closestLink = null;
+    let closestDistance = Infinity;
+
+    for (const link of container.querySelectorAll(selector)) {
+      if (!link.href || !accept(link.href)) continue;
+
+      const distance = getDomDistance(element, link);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestLink = link;
+      }
+    }
+
+    return closestLink?.href || null;
+  }
+
+  /**
+   * The page URL when it already points at a single video
+   */
+  function getPagePermalink(context, pattern) {
+    const href = context.location?.href || '';
+    return pattern.test(href) ? href : null;
+  }
+
+  /**
+   * Number of items from text like "25 videos" or "3 / 25", or null when the
+   * text has no exact count (e.g. "1.2K videos")
+   */
+  function parseItemCount(text) {
+    const match = (text || '').match(/(?:\/\s*|^|\s)(\d[\d,]*)(?:\s+(?:videos?|items?)|\s*$)/i);
+    return match ? Number(match[1].replace(/,/g, '')) : null;
+  }
+
+  const api = {
+    registerResolver,
+    getResolvers,
+    getResolverForUrl,
+    getPageResolvers,
+    parseEmbedUrl,
+    findPermalink,
+    findPermalinkCandidates,
+    findCollection,
+    findMetadata,
+    canonicalizeUrl,
+    getVideoKey,
+    getStartTime,
+    utils: {
+      getDomDistance,
+      getPathToRoot,
+      findClosestLink,
+      getPagePermalink,
+      parseItemCount
+    }
+  };
+
+  root.VidPullResolvers = api;
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})(globalThis);
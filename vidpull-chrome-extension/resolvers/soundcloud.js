@@ -0,0 +1,64 @@
+// VidPull resolver - SoundCloud
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  // Paths under soundcloud.com that aren't users, tracks or sets
+  const RESERVED_PATHS = ['discover', 'feed', 'search', 'stream', 'upload', 'you', 'settings', 'messages', 'notifications', 'charts', 'pages', 'stations'];
+
+  registerResolver({
+    id: 'soundcloud',
+    hosts: ['soundcloud.com'],
+    audio: true,
+
+    /**
+     * The widget names what it plays in its url= parameter, either a
+     * soundcloud.com link or an api.soundcloud.com/tracks/ID one
+     */
+    parseEmbed(src) {
+      if (!/w\.soundcloud\.com\/player\//.test(src)) return null;
+      try {
+        const target = new URL(new URL(src).searchParams.get('url') || '');
+        if (/(^|\.)soundcloud\.com$/.test(target.hostname)) {
+          return this.canonicalize(target) || target.href;
+        }
+      } catch (e) {
+        // No usable url= parameter
+      }
+      return null;
+    },
+
+    /**
+     * The track in the player bar at the bottom of the page, else the page
+     * itself when it is a track or set
+     */
+    findPermalink(element, context) {
+      const playing = context.document.querySelector('.playbackSoundBadge__titleLink[href]');
+      if (playing) {
+        return this.canonicalize(new URL(playing.href, context.location.href));
+      }
+      const pageUrl = utils.getPagePermalink(context, /soundcloud\.com\/[^/?#]+\/[^?#]+/);
+      return pageUrl ? this.canonicalize(new URL(pageUrl)) : null;
+    },
+
+    /**
+     * soundcloud.com/<user>/<track> and /<user>/sets/<set>, without the
+     * sharing parameters; api.soundcloud.com track links are kept as they are
+     */
+    canonicalize(urlObj) {
+      if (urlObj.hostname.startsWith('api.')) {
+        const trackId = this.getVideoId(urlObj);
+        return trackId ? `https://api.soundcloud.com/tracks/${trackId}` : null;
+      }
+      const match = urlObj.pathname.match(/^\/([^/]+)\/(sets\/[^/]+|[^/]+)\/?$/);
+      if (!match || RESERVED_PATHS.includes(match[1])) return null;
+      return `https://soundcloud.com/${match[1]}/${match[2]}`;
+    },
+
+    getVideoId(urlObj) {
+      return urlObj.pathname.match(/^\/tracks\/(\d+)/)?.[1] || null;
+    }
+  });
+})(globalThis);
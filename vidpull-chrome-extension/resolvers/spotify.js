@@ -0,0 +1,34 @@
+// VidPull resolver - Spotify podcasts
+// Only episodes and shows: music on Spotify is DRM-protected and yt-dlp
+// can't download it.
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  registerResolver({
+    id: 'spotify',
+    hosts: ['open.spotify.com'],
+    audio: true,
+
+    parseEmbed(src) {
+      const match = src.match(/open\.spotify\.com\/embed(?:-podcast)?\/(episode|show)\/([A-Za-z0-9]+)/);
+      return match ? `https://open.spotify.com/${match[1]}/${match[2]}` : null;
+    },
+
+    findPermalink(element, context) {
+      const pageUrl = utils.getPagePermalink(context, /open\.spotify\.com\/(?:intl-[a-z-]+\/)?(episode|show)\/[A-Za-z0-9]+/);
+      return pageUrl ? this.canonicalize(new URL(pageUrl)) : null;
+    },
+
+    canonicalize(urlObj) {
+      const match = urlObj.pathname.match(/^\/(?:intl-[a-z-]+\/)?(?:embed(?:-podcast)?\/)?(episode|show)\/([A-Za-z0-9]+)/);
+      return match ? `https://open.spotify.com/${match[1]}/${match[2]}` : null;
+    },
+
+    getVideoId(urlObj) {
+      return urlObj.pathname.match(/\/episode\/([A-Za-z0-9]+)/)?.[1] || null;
+    }
+  });
+})(globalThis);
@@ -0,0 +1,32 @@
+// VidPull resolver - Streamable
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  // Top-level pages of the site itself, which share the shape of video links
+  const SITE_PAGES = new Set(['login', 'signup', 'upload', 'pricing', 'settings', 'documentation', 'videos', 'terms', 'privacy']);
+
+  registerResolver({
+    id: 'streamable',
+    hosts: ['streamable.com'],
+
+    parseEmbed(src) {
+      const match = src.match(/streamable\.com\/(?:e|o|s)\/([a-z0-9]+)/i);
+      if (!match || SITE_PAGES.has(match[1].toLowerCase())) return null;
+      return `https://streamable.com/${match[1]}`;
+    },
+
+    findPermalink(video, context) {
+      const pageUrl = utils.getPagePermalink(context, /streamable\.com\/(?:e\/|o\/|s\/)?[a-z0-9]+/i);
+      return pageUrl ? this.canonicalize(new URL(pageUrl)) : null;
+    },
+
+    canonicalize(urlObj) {
+      const match = urlObj.pathname.match(/^\/(?:e\/|o\/|s\/)?([a-z0-9]+)\/?$/i);
+      if (!match || SITE_PAGES.has(match[1].toLowerCase())) return null;
+      return `https://streamable.com/${match[1]}`;
+    }
+  });
+})(globalThis);
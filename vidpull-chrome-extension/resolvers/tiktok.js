@@ -0,0 +1,38 @@
+// VidPull resolver - TikTok
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  registerResolver({
+    id: 'tiktok',
+    hosts: ['tiktok.com'],
+
+    parseEmbed(src) {
+      const match = src.match(/tiktok\.com\/(?:embed(?:\/v2)?|player\/v1)\/(\d+)/);
+      return match ? `https://www.tiktok.com/embed/${match[1]}` : null;
+    },
+
+    findPermalink(video, context) {
+      // For You / profile feeds wrap each video with a link to its page
+      const item = video.closest('[data-e2e="recommend-list-item-container"], [data-e2e="user-post-item"], article');
+      if (item) {
+        const link = utils.findClosestLink(video, item, 'a[href*="/video/"]');
+        if (link) return this.canonicalize(new URL(link));
+      }
+      const pageUrl = utils.getPagePermalink(context, /tiktok\.com\/@[^/]+\/video\/\d+/);
+      return pageUrl ? this.canonicalize(new URL(pageUrl)) : null;
+    },
+
+    canonicalize(urlObj) {
+      const match = urlObj.pathname.match(/^\/(@[^/]+)\/video\/(\d+)/);
+      return match ? `https://www.tiktok.com/${match[1]}/video/${match[2]}` : null;
+    },
+
+    // Profile links and embeds of the same video share its numeric id
+    getVideoId(urlObj) {
+      return urlObj.pathname.match(/^\/(?:@[^/]+\/video|embed(?:\/v2)?|player\/v1)\/(\d+)/)?.[1] || null;
+    }
+  });
+})(globalThis);
@@ -0,0 +1,58 @@
+// VidPull resolver - Twitch
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  registerResolver({
+    id: 'twitch',
+    hosts: ['twitch.tv'],
+
+    parseEmbed(src) {
+      // Clips
+      const clip = src.match(/clips\.twitch\.tv\/embed\?.*?clip=([^&]+)/);
+      if (clip) return `https://clips.twitch.tv/${clip[1]}`;
+
+      // Videos
+      const video = src.match(/player\.twitch\.tv\/\?.*?video=v?(\d+)/);
+      if (video) return `https://www.twitch.tv/videos/${video[1]}`;
+
+      return null;
+    },
+
+    findPermalink(video, context) {
+      return utils.getPagePermalink(context, /^https?:\/\/(www\.|clips\.)?twitch\.tv\/(videos\/\d+|[^/]+\/clip\/[^/?#]+|[^/?#]+$)/);
+    },
+
+    /**
+     * A VOD collection (collection= on a VOD, or the collection page) or a
+     * channel's past broadcasts list
+     */
+    findCollection(video, context) {
+      const urlObj = new URL(context.location.href);
+      const collectionId = urlObj.searchParams.get('collection') ||
+        urlObj.pathname.match(/^\/collections\/([^/]+)/)?.[1];
+      if (collectionId) {
+        return {
+          kind: 'collection',
+          url: `https://www.twitch.tv/collections/${collectionId}`,
+          title: null,
+          count: null
+        };
+      }
+
+      const channel = urlObj.pathname.match(/^\/([^/]+)\/videos\/?$/);
+      if (channel) {
+        return {
+          kind: 'channel',
+          url: `https://www.twitch.tv/${channel[1]}/videos`,
+          title: channel[1],
+          count: null
+        };
+      }
+
+      return null;
+    }
+  });
+})(globalThis);
@@ -0,0 +1,200 @@
+// VidPull resolver - Twitter/X
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  // Tweets have no title, so their text stands in for one, cut to this length
+  const TITLE_MAX_LENGTH = 100;
+
+  /**
+   * Check if a URL is a valid Twitter/X status link
+   */
+  function isValidStatusLink(href) {
+    if (!href) return false;
+    // Must match /status/ followed by digits, and not be a /photo/ or /video/ subpath
+    return !!href.match(/\/(status|statuses)\/\d+/) &&
+           !href.includes('/photo/') &&
+           !href.includes('/video/');
+  }
+
+  /**
+   * Find the closest status link to a video element
+   * This traverses up from the video and finds the first valid status link
+   * at each level, ensuring we get the quoted tweet's link, not the outer tweet's
+   */
+  function findClosestStatusLink(video) {
+    let element = video.parentElement;
+    let depth = 0;
+    const maxDepth = 20;
+
+    while (element && depth < maxDepth) {
+      // Check if this element itself is a link to a status
+      if (element.tagName === 'A' && element.href) {
+        if (isValidStatusLink(element.href)) {
+          return element.href;
+        }
+      }
+
+      // Look for direct child links (not nested in sub-containers)
+      // This prevents finding links from the outer tweet when we're in a quoted tweet
+      const directLinks = Array.from(element.children).filter(child =>
+        child.tagName === 'A' && child.href && isValidStatusLink(child.href)
+      );
+      if (directLinks.length > 0) {
+        return directLinks[0].href;
+      }
+
+      // Look for a timestamp link at this level (common pattern for tweet permalinks)
+      const timeEl = element.querySelector(':scope > a[href*="/status/"] time, :scope > div > a[href*="/status/"] time');
+      if (timeEl) {
+        const timeLink = timeEl.closest('a');
+        if (timeLink && isValidStatusLink(timeLink.href)) {
+          return timeLink.href;
+        }
+      }
+
+      // For quoted tweets: check if we're in a quoted tweet container
+      // Quoted tweets often have a specific structure with the status link nearby
+      // (only the video's own media, not a neighbouring tweet's further up)
+      if (element.getAttribute('data-testid') === 'tweetPhoto' ||
+          element.getAttribute('role') === 'link' ||
+          Array.from(element.querySelectorAll('[data-testid="tweetPhoto"]')).some(photo => photo.contains(video))) {
+        // Look for the closest ancestor that contains a status link
+        const statusLink = element.querySelector('a[href*="/status/"]');
+        if (statusLink && isValidStatusLink(statusLink.href)) {
+          return statusLink.href;
+        }
+      }
+
+      // If we hit an article boundary, search within it but prioritize
+      // links closer to the video (quoted content)
+      if (element.tagName === 'ARTICLE') {
+        // First, try to find links within quoted tweet containers
+        const quotedTweet = element.querySelector('[data-testid="quoteTweet"], [role="link"][tabindex="0"]');
+        if (quotedTweet && quotedTweet.contains(video)) {
+          // Video is in quoted tweet - find status link in quoted section
+          const quotedLink = quotedTweet.querySelector('a[href*="/status/"]');
+          if (quotedLink && isValidStatusLink(quotedLink.href)) {
+            return quotedLink.href;
+          }
+          // Sometimes the quoted tweet container itself is a link
+          if (quotedTweet.tagName === 'A' && isValidStatusLink(quotedTweet.href)) {
+            return quotedTweet.href;
+          }
+          // Check parent of quoted tweet for the link
+          const quotedParent = quotedTweet.closest('a[href*="/status/"]');
+          if (quotedParent && isValidStatusLink(quotedParent.href)) {
+            return quotedParent.href;
+          }
+        }
+
+        // Fallback: find all status links and get the one closest to the video
+        const closestLink = utils.findClosestLink(video, element, 'a[href*="/status/"]', isValidStatusLink);
+        if (closestLink) {
+          return closestLink;
+        }
+      }
+
+      element = element.parentElement;
+      depth++;
+    }
+
+    return null;
+  }
+
+  /**
+   * Tweet ID from data attributes on the video's ancestors (embedded timelines)
+   */
+  function findTweetIdLink(video) {
+    let element = video.parentElement;
+    let depth = 0;
+    const maxDepth = 15;
+
+    while (element && depth < maxDepth) {
+      const tweetId = element.dataset?.tweetId || element.closest('[data-tweet-id]')?.dataset?.tweetId;
+      if (tweetId) {
+        return `https://twitter.com/i/status/${tweetId}`;
+      }
+
+      element = element.parentElement;
+      depth++;
+    }
+
+    return null;
+  }
+
+  /**
+   * Every status link in the tweet a video belongs to, closest to the video
+   * first, e.g. a quoted tweet's and the tweet quoting it
+   */
+  function findStatusLinks(video) {
+    const article = video.closest('article');
+    if (!article) return [];
+
+    return Array.from(article.querySelectorAll('a[href*="/status/"]'))
+      .filter(link => isValidStatusLink(link.href))
+      .sort((a, b) => utils.getDomDistance(video, a) - utils.getDomDistance(video, b))
+      // Links to a tweet's analytics, likes and so on stand for the tweet itself
+      .map(link => link.href.match(/^.*?\/(?:status|statuses)\/\d+/)[0]);
+  }
+
+  /**
+   * Author, time and text of the tweet a video belongs to: the quoted tweet
+   * when the video is inside one, otherwise the tweet itself
+   */
+  function findTweetMetadata(video) {
+    const article = video.closest('article');
+    if (!article?.querySelector('[data-testid="User-Name"]')) return null;
+
+    const quotedTweet = article.querySelector('[data-testid="quoteTweet"], [role="link"][tabindex="0"]');
+    const tweet = quotedTweet?.contains(video) ? quotedTweet : article;
+    const text = tweet.querySelector('[data-testid="tweetText"]')?.textContent.replace(/\s+/g, ' ').trim() || '';
+    const handle = findClosestStatusLink(video)?.match(/\/\/[^/]+\/([^/]+)\/status\//)?.[1];
+
+    return {
+      title: text.length > TITLE_MAX_LENGTH ? `${text.slice(0, TITLE_MAX_LENGTH - 1).trim()}…` : text,
+      uploader: tweet.querySelector('[data-testid="User-Name"] span')?.textContent.trim() ||
+        (handle && handle !== 'i' ? `@${handle}` : ''),
+      date: tweet.querySelector('time[datetime]')?.getAttribute('datetime') || ''
+    };
+  }
+
+  registerResolver({
+    id: 'twitter',
+    hosts: ['twitter.com', 'x.com'],
+    // Tweets are embedded all over the web, so look for status links everywhere
+    anyPage: true,
+
+    parseEmbed(src) {
+      const match = src.match(/platform\.twitter\.com\/embed\/Tweet\.html\?.*?id=(\d+)/);
+      return match ? `https://twitter.com/i/status/${match[1]}` : null;
+    },
+
+    findPermalink(video, context) {
+      return findClosestStatusLink(video) ||
+        findTweetIdLink(video) ||
+        utils.getPagePermalink(context, /https?:\/\/(twitter\.com|x\.com)\/[^/]+\/status\/\d+/);
+    },
+
+    findPermalinks(video, context) {
+      return [this.findPermalink(video, context), ...findStatusLinks(video), findTweetIdLink(video)];
+    },
+
+    findMetadata(video) {
+      return findTweetMetadata(video);
+    },
+
+    // One tweet on twitter.com, x.com or /i/status/, with or without ?s=20
+    getVideoId(urlObj) {
+      return urlObj.pathname.match(/\/(?:status|statuses)\/(\d+)/)?.[1] || null;
+    }
+  });
+
+  const helpers = { isValidStatusLink, findClosestStatusLink, findStatusLinks, findTweetIdLink, findTweetMetadata };
+  root.VidPullResolvers.twitter = helpers;
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = helpers;
+  }
+})(globalThis);
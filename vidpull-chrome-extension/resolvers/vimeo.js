@@ -0,0 +1,25 @@
+// VidPull resolver - Vimeo
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  registerResolver({
+    id: 'vimeo',
+    hosts: ['vimeo.com'],
+
+    parseEmbed(src) {
+      const match = src.match(/player\.vimeo\.com\/video\/(\d+)/);
+      return match ? `https://vimeo.com/${match[1]}` : null;
+    },
+
+    findPermalink(video, context) {
+      return utils.getPagePermalink(context, /^https?:\/\/(www\.)?vimeo\.com\/(\d+|channels\/[^/]+\/\d+)/);
+    },
+
+    getVideoId(urlObj) {
+      return urlObj.pathname.match(/^\/(?:channels\/[^/]+\/|video\/)?(\d+)(?:\/|$)/)?.[1] || null;
+    }
+  });
+})(globalThis);
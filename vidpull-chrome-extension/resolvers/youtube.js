@@ -0,0 +1,143 @@
+// VidPull resolver - YouTube
+
+(function(root) {
+  'use strict';
+
+  const { registerResolver, utils } = root.VidPullResolvers || require('./registry.js');
+
+  // Feed cards whose inline previews play in a shared <video>
+  const CARD_SELECTOR = 'ytd-rich-item-renderer, ytd-video-renderer, ytd-compact-video-renderer, ytd-grid-video-renderer';
+
+  // Channel pages: /@handle, /channel/ID, /c/name and /user/name
+  const CHANNEL_PATH = /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)/;
+
+  registerResolver({
+    id: 'youtube',
+    hosts: ['youtube.com', 'youtu.be', 'youtube-nocookie.com'],
+
+    parseEmbed(src) {
+      const match = src.match(/(?:youtube\.com|youtube-nocookie\.com)\/embed\/([^?&/]+)/);
+      return match ? `https://www.youtube.com/watch?v=${match[1]}` : null;
+    },
+
+    findPermalink(video) {
+      // Hover previews on the home feed and search results
+      const card = video.closest(CARD_SELECTOR);
+      const thumbnailLink = card?.querySelector('a#thumbnail[href]');
+      return thumbnailLink ? this.canonicalize(new URL(thumbnailLink.href)) : null;
+    },
+
+    /**
+     * The playlist being played (list= on watch pages, or a playlist page) or
+     * the channel whose page the video is on
+     */
+    findCollection(video, context) {
+      const { document, location } = context;
+      const urlObj = new URL(location.href);
+      const listId = urlObj.searchParams.get('list');
+
+      // Mixes (RD...) are generated on the fly and never end
+      if (listId && !listId.startsWith('RD')) {
+        const panel = document.querySelector('ytd-playlist-panel-renderer');
+        const header = document.querySelector('ytd-playlist-header-renderer, yt-page-header-renderer');
+        return {
+          kind: 'playlist',
+          url: `https://www.youtube.com/playlist?list=${listId}`,
+          title: textOf(panel?.querySelector('.title')) || textOf(header?.querySelector('h1')) || null,
+          count: utils.parseItemCount(textOf(panel?.querySelector('.index-message'))) ||
+            utils.parseItemCount(textOf(header?.querySelector('.metadata-stats, yt-content-metadata-view-model')))
+        };
+      }
+
+      const channel = urlObj.pathname.match(CHANNEL_PATH);
+      if (channel) {
+        return {
+          kind: 'channel',
+          url: `https://www.youtube.com/${channel[1]}/videos`,
+          title: textOf(document.querySelector('ytd-channel-name #text, yt-dynamic-text-view-model h1')) || null,
+          count: null
+        };
+      }
+
+      return null;
+    },
+
+    /**
+     * Title and channel from the watch page or the video's feed card. The
+     * page's own tags go stale as YouTube navigates, so this reads what is shown
+     */
+    findMetadata(video, context) {
+      if (video.closest('#movie_player')) {
+        const watch = context.document.querySelector('ytd-watch-metadata');
+        return watch && {
+          title: textOf(watch.querySelector('h1')),
+          uploader: textOf(watch.querySelector('ytd-channel-name a, ytd-channel-name #text'))
+        };
+      }
+
+      const card = video.closest(CARD_SELECTOR);
+      return card && {
+        title: textOf(card.querySelector('#video-title')),
+        uploader: textOf(card.querySelector('ytd-channel-name a, ytd-channel-name #text'))
+      };
+    },
+
+    /**
+     * Extract just the video ID, removing playlist, start time and other
+     * params, so we get the single video URL and not a playlist URL
+     */
+    canonicalize(urlObj) {
+      const videoId = this.getVideoId(urlObj);
+      return videoId ? `https://www.youtube.com/watch?v=${videoId}` : null;
+    },
+
+    // t= on watch links, start= on embeds
+    getStartTime(urlObj) {
+      return parseStartTime(urlObj.searchParams.get('t') || urlObj.searchParams.get('start')) || null;
+    },
+
+    getVideoId(urlObj) {
+      let videoId = null;
+
+      // youtube.com/watch?v=VIDEO_ID
+      if (urlObj.pathname === '/watch') {
+        videoId = urlObj.searchParams.get('v');
+      }
+      // youtube.com/shorts/VIDEO_ID
+      else if (urlObj.pathname.startsWith('/shorts/')) {
+        videoId = urlObj.pathname.split('/shorts/')[1]?.split('/')[0];
+      }
+      // youtube.com/live/VIDEO_ID
+      else if (urlObj.pathname.startsWith('/live/')) {
+        videoId = urlObj.pathname.split('/live/')[1]?.split('/')[0];
+      }
+      // youtube.com/embed/VIDEO_ID
+      else if (urlObj.pathname.startsWith('/embed/')) {
+        videoId = urlObj.pathname.split('/embed/')[1]?.split('/')[0];
+      }
+      // youtu.be/VIDEO_ID
+      else if (urlObj.hostname === 'youtu.be') {
+        videoId = urlObj.pathname.substring(1).split('/')[0];
+      }
+
+      return videoId || null;
+    }
+  });
+
+  function textOf(element) {
+    return element?.textContent.trim() || '';
+  }
+
+  /**
+   * Seconds from a YouTube time parameter ("90", "90s" or "1h2m3s")
+   */
+  function parseStartTime(value) {
+    if (!value) return 0;
+    if (/^\d+s?$/.test(value)) return parseInt(value, 10);
+
+    const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!match) return 0;
+    const [, h = 0, m = 0, s = 0] = match;
+    return Number(h) * 3600 + Number(m) * 60 + Number(s);
+  }
+})(globalThis);
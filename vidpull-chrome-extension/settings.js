@@ -0,0 +1,495 @@
+// VidPull Chrome Extension - Settings
+// Typed access to the settings kept in storage.sync: defaults,
+// validation, migrations between schema versions and JSON import/export.
+// Loaded after shared.js everywhere shared.js is (require() it first in Node)
+
+(function(root) {
+  'use strict';
+
+  const {
+    STORAGE_KEY_SITE_RULES,
+    STORAGE_KEY_SITE_MODE,
+    SITE_MODES,
+    DEFAULT_SEND_TARGET,
+    DEFAULT_HTTP_BODY_TEMPLATE,
+    isKnownFormat,
+    isKnownSendTarget,
+    renderBodyTemplate,
+    getTemplateValues,
+    isLanguageCode,
+    normalizeExtras,
+    buildOutputTemplate
+  } = root.VidPullShared;
+
+  // Bump when stored settings change shape, and add a step to MIGRATIONS
+  const SETTINGS_VERSION = 2;
+  const STORAGE_KEY_VERSION = 'vidpullSettingsVersion';
+
+  // Written by version 1, folded into the site rules by version 2
+  const LEGACY_KEY_SITE_FORMATS = 'vidpullSiteFormats';
+
+  // Marks files written by exportSettings
+  const EXPORT_KIND = 'vidpull-settings';
+
+  const SITE_KEY_PATTERN = /^[a-z0-9.:[\]-]+$/;
+
+  const FILENAME_TEMPLATE_MAX_LENGTH = 300;
+
+  class SettingsError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'SettingsError';
+    }
+  }
+
+  /**
+   * Every setting by name, with the storage key it lives under, its default
+   * and a validator that returns a clean copy or throws a SettingsError
+   * (validate(value, strict): lenient validation skips bad entries in
+   * collections instead of rejecting the whole value)
+   */
+  const SCHEMA = {
+    extensionEnabled: {
+      key: 'extensionEnabled',
+      defaultValue: true,
+      validate: validateBoolean
+    },
+    overlaysVisible: {
+      key: 'overlaysVisible',
+      defaultValue: true,
+      validate: validateBoolean
+    },
+    // Log how each download's URL was resolved to the page's console
+    debugMode: {
+      key: 'vidpullDebugMode',
+      defaultValue: false,
+      validate: validateBoolean
+    },
+    // Top-right corner, as percentage offsets from the video's top-left
+    buttonPosition: {
+      key: 'vidpullButtonPosition',
+      defaultValue: { xPercent: 95, yPercent: 5 },
+      validate: validatePosition
+    },
+    siteMode: {
+      key: STORAGE_KEY_SITE_MODE,
+      defaultValue: 'all',
+      validate: validateSiteMode
+    },
+    // Where downloads go unless the site has its own target
+    sendTarget: {
+      key: 'vidpullSendTarget',
+      defaultValue: DEFAULT_SEND_TARGET,
+      validate: validateSendTarget
+    },
+    // The yt-dlp server used by the 'http' target. authHeader is a whole
+    // "Name: value" line, e.g. "Authorization: Bearer ..."
+    httpTarget: {
+      key: 'vidpullHttpTarget',
+      defaultValue: { url: '', authHeader: '', bodyTemplate: DEFAULT_HTTP_BODY_TEMPLATE },
+      validate: validateHttpTarget
+    },
+    // Where downloads are saved inside the download folder and what they're
+    // called, e.g. "{uploader}/{date} - {title}". Empty leaves it to the target
+    filenameTemplate: {
+      key: 'vidpullFilenameTemplate',
+      defaultValue: '',
+      validate: validateFilenameTemplate
+    },
+    // { [siteKey]: { enabled?, position?, shareCookies?, format?, extras?, target? } }
+    siteRules: {
+      key: STORAGE_KEY_SITE_RULES,
+      defaultValue: {},
+      validate: validateSiteRules
+    }
+  };
+  const SETTING_NAMES = Object.keys(SCHEMA);
+
+  /**
+   * Upgrade steps for raw storage data, keyed by the version they produce.
+   * Version 1 is everything stored before settings were versioned.
+   */
+  const MIGRATIONS = {
+    2: (data) => {
+      const formats = data[LEGACY_KEY_SITE_FORMATS];
+      const { [LEGACY_KEY_SITE_FORMATS]: removed, ...rest } = data;
+      if (!isPlainObject(formats)) return rest;
+
+      const rules = { ...rest[STORAGE_KEY_SITE_RULES] };
+      Object.entries(formats).forEach(([site, format]) => {
+        if (isKnownFormat(format)) {
+          rules[site] = { ...rules[site], format };
+        }
+      });
+      return { ...rest, [STORAGE_KEY_SITE_RULES]: rules };
+    }
+  };
+
+  // MARK: - Validation
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function validateBoolean(value) {
+    if (typeof value !== 'boolean') {
+      throw new SettingsError('expected true or false');
+    }
+    return value;
+  }
+
+  function validatePosition(value) {
+    if (!isPlainObject(value) || !Number.isFinite(value.xPercent) || !Number.isFinite(value.yPercent)) {
+      throw new SettingsError('expected { xPercent, yPercent } numbers');
+    }
+    return { xPercent: value.xPercent, yPercent: value.yPercent };
+  }
+
+  function validateSiteMode(value) {
+    if (!SITE_MODES.includes(value)) {
+      throw new SettingsError(`expected one of ${SITE_MODES.join(', ')}`);
+    }
+    return value;
+  }
+
+  function validateSendTarget(value) {
+    if (!isKnownSendTarget(value)) {
+      throw new SettingsError(`unknown send target "${value}"`);
+    }
+    return value;
+  }
+
+  function validateHttpTarget(value) {
+    if (!isPlainObject(value)) {
+      throw new SettingsError('expected { url, authHeader, bodyTemplate }');
+    }
+    const { url = '', authHeader = '', bodyTemplate = DEFAULT_HTTP_BODY_TEMPLATE } = value;
+    if (typeof url !== 'string' || (url && !/^https?:\/\/[^/]/.test(url.trim()))) {
+      throw new SettingsError('the server URL must start with http:// or https://');
+    }
+    if (typeof authHeader !== 'string' || (authHeader && !/^[\w-]+:/.test(authHeader))) {
+      throw new SettingsError('the auth header must look like "Name: value"');
+    }
+    if (typeof bodyTemplate !== 'string') {
+      throw new SettingsError('expected a JSON body template');
+    }
+    try {
+      renderBodyTemplate(bodyTemplate, getTemplateValues({ url }));
+    } catch (error) {
+      throw new SettingsError(`body template: ${error.message}`);
+    }
+    return { url: url.trim(), authHeader: authHeader.trim(), bodyTemplate };
+  }
+
+  function validateFilenameTemplate(value) {
+    if (typeof value !== 'string' || value.length > FILENAME_TEMPLATE_MAX_LENGTH) {
+      throw new SettingsError(`expected text of up to ${FILENAME_TEMPLATE_MAX_LENGTH} characters`);
+    }
+    try {
+      buildOutputTemplate(value);
+    } catch (error) {
+      throw new SettingsError(error.message);
+    }
+    return value.trim();
+  }
+
+  function validateSiteRules(value, strict) {
+    if (!isPlainObject(value)) {
+      throw new SettingsError('expected an object of sites');
+    }
+
+    const rules = {};
+    Object.entries(value).forEach(([site, rule]) => {
+      try {
+        if (!SITE_KEY_PATTERN.test(site)) {
+          throw new SettingsError('not a hostname');
+        }
+        const clean = validateSiteRule(rule);
+        if (Object.keys(clean).length > 0) {
+          rules[site] = clean;
+        }
+      } catch (error) {
+        if (strict) {
+          throw new SettingsError(`${site}: ${error.message}`);
+        }
+        console.warn(`[VidPull] Ignoring stored rule for ${site}:`, error.message);
+      }
+    });
+    return rules;
+  }
+
+  /**
+   * Unknown fields are dropped so rules written by newer versions still load
+   */
+  function validateSiteRule(rule) {
+    if (!isPlainObject(rule)) {
+      throw new SettingsError('expected an object');
+    }
+
+    const clean = {};
+    if (rule.enabled !== undefined) {
+      clean.enabled = validateBoolean(rule.enabled);
+    }
+    if (rule.position !== undefined) {
+      clean.position = validatePosition(rule.position);
+    }
+    if (rule.shareCookies === true) {
+      clean.shareCookies = true;
+    } else if (rule.shareCookies !== undefined) {
+      validateBoolean(rule.shareCookies);
+    }
+    if (rule.format !== undefined) {
+      if (!isKnownFormat(rule.format)) {
+        throw new SettingsError(`unknown format "${rule.format}"`);
+      }
+      clean.format = rule.format;
+    }
+    if (rule.target !== undefined) {
+      clean.target = validateSendTarget(rule.target);
+    }
+    if (rule.extras !== undefined) {
+      const extras = validateExtras(rule.extras);
+      if (extras) clean.extras = extras;
+    }
+    return clean;
+  }
+
+  /**
+   * Default extras for a site; an empty subtitles list means the languages
+   * detected on the page
+   */
+  function validateExtras(value) {
+    if (!isPlainObject(value)) {
+      throw new SettingsError('expected an object of extras');
+    }
+    if (value.subtitles !== undefined && (!Array.isArray(value.subtitles) ||
+        !value.subtitles.every(isLanguageCode))) {
+      throw new SettingsError('expected a list of subtitle language codes');
+    }
+    ['thumbnail', 'metadata', 'chapters'].forEach((extra) => {
+      if (value[extra] !== undefined) validateBoolean(value[extra]);
+    });
+    return normalizeExtras(value);
+  }
+
+  function validateSetting(name, value, strict = true) {
+    const setting = SCHEMA[name];
+    if (!setting) {
+      throw new SettingsError(`Unknown setting "${name}"`);
+    }
+    try {
+      return setting.validate(value, strict);
+    } catch (error) {
+      throw new SettingsError(`Invalid ${name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * All settings with defaults filled in
+   */
+  function getDefaults() {
+    const defaults = {};
+    SETTING_NAMES.forEach((name) => {
+      defaults[name] = structuredClone(SCHEMA[name].defaultValue);
+    });
+    return defaults;
+  }
+
+  /**
+   * Settings from raw storage data. Missing values get their default; so do
+   * invalid ones, unless strict, which throws instead.
+   */
+  function fromStorage(data, strict = false) {
+    const settings = getDefaults();
+    SETTING_NAMES.forEach((name) => {
+      const value = data[SCHEMA[name].key];
+      if (value === undefined) return;
+      try {
+        settings[name] = validateSetting(name, value, strict);
+      } catch (error) {
+        if (strict) throw error;
+        console.warn('[VidPull] Ignoring stored setting:', error.message);
+      }
+    });
+    return settings;
+  }
+
+  function toStorage(settings) {
+    const data = {};
+    Object.entries(settings).forEach(([name, value]) => {
+      data[SCHEMA[name]?.key || name] = value;
+    });
+    return data;
+  }
+
+  // MARK: - Migrations
+
+  function upgrade(data, fromVersion) {
+    let upgraded = data;
+    for (let version = fromVersion + 1; version <= SETTINGS_VERSION; version++) {
+      upgraded = MIGRATIONS[version](upgraded);
+    }
+    return upgraded;
+  }
+
+  /**
+   * Bring stored settings up to SETTINGS_VERSION and return the upgraded raw
+   * data. Safe to run from several extension contexts at once: every run
+   * computes the same result from the same data.
+   */
+  async function migrate() {
+    const data = await browser.storage.sync.get(null);
+    const version = data[STORAGE_KEY_VERSION] || 1;
+    if (version >= SETTINGS_VERSION) return data;
+
+    const upgraded = upgrade(data, version);
+    const removedKeys = Object.keys(data).filter(key => !(key in upgraded));
+    await browser.storage.sync.set({ ...upgraded, [STORAGE_KEY_VERSION]: SETTINGS_VERSION });
+    if (removedKeys.length > 0) {
+      await browser.storage.sync.remove(removedKeys);
+    }
+    return upgraded;
+  }
+
+  // MARK: - Storage
+
+  /**
+   * Read all settings, migrating stored data first if it is from an older version
+   */
+  async function load() {
+    const keys = SETTING_NAMES.map(name => SCHEMA[name].key);
+    const data = await browser.storage.sync.get([...keys, STORAGE_KEY_VERSION]);
+    if ((data[STORAGE_KEY_VERSION] || 1) < SETTINGS_VERSION) {
+      return fromStorage(await migrate());
+    }
+    return fromStorage(data);
+  }
+
+  /**
+   * Validate and store some settings, e.g. save({ overlaysVisible: false })
+   */
+  async function save(patch) {
+    const data = {};
+    Object.entries(patch).forEach(([name, value]) => {
+      data[SCHEMA[name]?.key] = validateSetting(name, value);
+    });
+    await browser.storage.sync.set(data);
+  }
+
+  /**
+   * Merge a patch into one site's rule, dropping fields set to undefined and
+   * the rule itself once it is empty. Reads the latest rules first so changes
+   * made from other pages are kept. Resolves to the new rules.
+   */
+  async function updateSiteRule(site, patch) {
+    const { siteRules } = await load();
+    const rule = { ...siteRules[site], ...patch };
+    Object.keys(rule).forEach(key => rule[key] === undefined && delete rule[key]);
+
+    const rules = { ...siteRules, [site]: rule };
+    if (Object.keys(rule).length === 0) {
+      delete rules[site];
+    }
+    await save({ siteRules: rules });
+    return rules;
+  }
+
+  /**
+   * Call back with { [name]: newValue } whenever settings change anywhere.
+   * Removed or invalid values are reported as their default.
+   */
+  function onChange(callback) {
+    browser.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace !== 'sync') return;
+
+      const changed = {};
+      SETTING_NAMES.forEach((name) => {
+        const change = changes[SCHEMA[name].key];
+        if (!change) return;
+        changed[name] = fromStorage({ [SCHEMA[name].key]: change.newValue })[name];
+      });
+      if (Object.keys(changed).length > 0) {
+        callback(changed);
+      }
+    });
+  }
+
+  async function reset() {
+    await browser.storage.sync.set({
+      ...toStorage(getDefaults()),
+      [STORAGE_KEY_VERSION]: SETTINGS_VERSION
+    });
+  }
+
+  // MARK: - Import/export
+
+  /**
+   * All settings as a JSON document to share or back up. The server auth
+   * header is a credential, so it stays out of the file.
+   */
+  async function exportSettings() {
+    const settings = await load();
+    const { authHeader, ...httpTarget } = settings.httpTarget;
+    settings.httpTarget = httpTarget;
+    return JSON.stringify({
+      kind: EXPORT_KIND,
+      version: SETTINGS_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings
+    }, null, 2);
+  }
+
+  /**
+   * Replace all settings with the ones in an exported JSON document, upgrading
+   * it first if it came from an older version. Settings the file leaves out
+   * go back to their defaults, except the server auth header, which is never
+   * exported and keeps its current value. Throws a SettingsError, without
+   * changing anything, if the file is not valid.
+   */
+  async function importSettings(json) {
+    let file;
+    try {
+      file = JSON.parse(json);
+    } catch (error) {
+      throw new SettingsError('The file is not valid JSON');
+    }
+    if (!isPlainObject(file) || file.kind !== EXPORT_KIND || !isPlainObject(file.settings)) {
+      throw new SettingsError('The file is not a VidPull settings export');
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+      throw new SettingsError('The settings file has no valid version');
+    }
+    if (file.version > SETTINGS_VERSION) {
+      throw new SettingsError('The settings file is from a newer version of VidPull');
+    }
+
+    const settings = fromStorage(upgrade(toStorage(file.settings), file.version), true);
+    const { httpTarget: current } = await load();
+    settings.httpTarget = { ...settings.httpTarget, authHeader: current.authHeader };
+    await browser.storage.sync.set({
+      ...toStorage(settings),
+      [STORAGE_KEY_VERSION]: SETTINGS_VERSION
+    });
+    return settings;
+  }
+
+  const api = {
+    SETTINGS_VERSION,
+    SettingsError,
+    getDefaults,
+    validateSetting,
+    load,
+    save,
+    updateSiteRule,
+    onChange,
+    migrate,
+    reset,
+    exportSettings,
+    importSettings
+  };
+
+  root.VidPullSettings = api;
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})(globalThis);
@@ -0,0 +1,19 @@
+// VidPull Chrome Extension - Shadow Root Hook
+// Runs in the page's own JavaScript world, where attachShadow calls can be
+// seen (the content script's isolated world can't intercept them). It only
+// announces new open shadow roots; content.js does the rest.
+
+(function() {
+  'use strict';
+
+  const attachShadow = Element.prototype.attachShadow;
+
+  Element.prototype.attachShadow = function(init) {
+    const shadowRoot = attachShadow.call(this, init);
+    if (init?.mode === 'open') {
+      // Composed so it reaches the document from hosts inside other shadow roots
+      this.dispatchEvent(new CustomEvent('vidpull-shadow-root', { bubbles: true, composed: true }));
+    }
+    return shadowRoot;
+  };
+})();
@@ -0,0 +1,517 @@
+// VidPull Chrome Extension - Shared Helpers
+// Loaded by both the content script and the background service worker,
+// after the site resolvers in resolvers/ (require() them first in Node)
+
+(function(root) {
+  'use strict';
+
+  // Formats understood by the VidPull app (see YTDLPConfig.FormatOption)
+  const FORMATS = [
+    { id: 'best', label: 'Best' },
+    { id: '4k', label: '4K' },
+    { id: '1080p', label: '1080p' },
+    { id: '720p', label: '720p' },
+    { id: '480p', label: '480p' },
+    { id: 'audio', label: 'Audio' }
+  ];
+  const DEFAULT_FORMAT = 'best';
+  // What audio players, audio sites and podcast episodes download as
+  const AUDIO_FORMAT = 'audio';
+  const AUDIO_FILE_PATTERN = /\.(mp3|m4a|aac|oga|ogg|opus|flac|wav)$/i;
+
+  // Sidecar files and embeds the app can add to a download (see YTDLPConfig.Extras)
+  const EXTRAS = [
+    { id: 'subtitles', label: 'Subtitles', shortLabel: 'Subs' },
+    { id: 'thumbnail', label: 'Embed thumbnail', shortLabel: 'Thumbnail' },
+    { id: 'metadata', label: 'Metadata & description', shortLabel: 'Metadata' },
+    { id: 'chapters', label: 'Chapters', shortLabel: 'Chapters' }
+  ];
+
+  // Where downloads go: the VidPull app (native messaging, else vidpull://),
+  // a yt-dlp HTTP server such as MeTube, or a yt-dlp command on the clipboard
+  const SEND_TARGETS = [
+    { id: 'app', label: 'VidPull app' },
+    { id: 'http', label: 'yt-dlp server' },
+    { id: 'command', label: 'Copy yt-dlp command' }
+  ];
+  const DEFAULT_SEND_TARGET = 'app';
+
+  // JSON body posted to the HTTP target; MeTube's POST /add takes it as is
+  const DEFAULT_HTTP_BODY_TEMPLATE = '{\n  "url": "{{url}}",\n  "quality": "{{quality}}",\n  "format": "any"\n}';
+
+  // Values a body template can use as {{name}}
+  const TEMPLATE_FIELDS = [
+    'url', 'title', 'pageUrl', 'format', 'quality', 'start', 'end', 'playlist', 'items', 'extras', 'headers',
+    'uploader', 'date', 'duration', 'thumbnail', 'output'
+  ];
+
+  // Fields a filename template can use as {name}, with the yt-dlp output
+  // template field yt-dlp fills in when the page didn't show the value
+  const FILENAME_FIELDS = {
+    title: '%(title)s',
+    uploader: '%(uploader)s',
+    date: '%(upload_date>%Y-%m-%d)s',
+    duration: '%(duration>%H-%M-%S)s',
+    id: '%(id)s',
+    site: '%(extractor)s'
+  };
+  const FILENAME_VALUE_MAX_LENGTH = 120;
+
+  // yt-dlp arguments for each format, matching YTDLPConfig.FormatOption
+  const YTDLP_FORMAT_ARGS = {
+    best: [],
+    '4k': ['-f', 'bv*[height<=2160]+ba/b'],
+    '1080p': ['-f', 'bv*[height<=1080]+ba/b'],
+    '720p': ['-f', 'bv*[height<=720]+ba/b'],
+    '480p': ['-f', 'bv*[height<=480]+ba/b'],
+    audio: ['-x', '--audio-format', 'mp3', '--audio-quality', '0']
+  };
+
+  // MeTube's quality names for each format
+  const METUBE_QUALITIES = {
+    best: 'best',
+    '4k': '2160',
+    '1080p': '1080',
+    '720p': '720',
+    '480p': '480',
+    audio: 'audio'
+  };
+
+  const STORAGE_KEY_HISTORY = 'vidpullHistory';
+  // Everything sent, so overlays can tell: { [videoKey]: { url, title, timestamp } }
+  // (keys from VidPullResolvers.getVideoKey, written by the background script)
+  const STORAGE_KEY_SENT_INDEX = 'vidpullSentIndex';
+  const SESSION_KEY_POPUP_VIEW = 'vidpullPopupView';
+
+  // Per-site overrides: { [siteKey]: { enabled?: boolean, position?: { xPercent, yPercent }, shareCookies?: boolean, format?: string, extras?: Object, target?: string } }
+  // (read and written through VidPullSettings)
+  const STORAGE_KEY_SITE_RULES = 'vidpullSiteRules';
+  // 'all' shows overlays everywhere except blocked sites, 'allowlist' only on allowed ones
+  const STORAGE_KEY_SITE_MODE = 'vidpullSiteMode';
+  const SITE_MODES = ['all', 'allowlist'];
+
+  /**
+   * Clean a video URL to remove playlist parameters and other unnecessary parts
+   * This ensures we get just the single video URL, not a playlist URL
+   * (the rules live with each site's resolver)
+   */
+  function cleanVideoUrl(url) {
+    return root.VidPullResolvers.canonicalizeUrl(url);
+  }
+
+  /**
+   * Check if URL is downloadable (not blob, data URI, etc.)
+   */
+  function isDownloadableUrl(url) {
+    if (!url || typeof url !== 'string') return false;
+    if (url.startsWith('blob:')) return false;
+    if (url.startsWith('data:')) return false;
+    if (url.trim() === '') return false;
+    return true;
+  }
+
+  /**
+   * Get URL from embedded iframe
+   */
+  function getIframeVideoUrl(iframe) {
+    return root.VidPullResolvers.parseEmbedUrl(iframe?.src, iframe);
+  }
+
+  /**
+   * Whether a URL is audio: a link to an audio site's page or an audio file,
+   * such as a podcast episode's enclosure
+   */
+  function isAudioUrl(url) {
+    if (root.VidPullResolvers.getResolverForUrl(url)?.audio) return true;
+    try {
+      return AUDIO_FILE_PATTERN.test(new URL(url).pathname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Build the vidpull:// deep link the macOS app listens for
+   * @param {Object} [options] - { headers } to send with the media requests,
+   *   passed as repeated "Name: value" header parameters, { clip } with
+   *   start/end seconds to download only part of the video, { playlist,
+   *   items } to download a whole playlist or a range of its items,
+   *   { extras } (see normalizeExtras) and { output }, the yt-dlp output
+   *   template from buildOutputTemplate
+   */
+  function buildDeepLink(url, format, options = {}) {
+    let vidpullUrl = `vidpull://download?url=${encodeURIComponent(url)}`;
+    if (format) {
+      vidpullUrl += `&format=${encodeURIComponent(format)}`;
+    }
+    if (options.clip?.start != null) {
+      vidpullUrl += `&start=${options.clip.start}`;
+    }
+    if (options.clip?.end != null) {
+      vidpullUrl += `&end=${options.clip.end}`;
+    }
+    if (options.playlist) {
+      vidpullUrl += '&playlist=1';
+      if (options.items) {
+        vidpullUrl += `&items=${encodeURIComponent(options.items)}`;
+      }
+    }
+    const extras = normalizeExtras(options.extras);
+    if (extras?.subtitles) {
+      vidpullUrl += `&subs=${encodeURIComponent(extras.subtitles.join(','))}`;
+    }
+    ['thumbnail', 'metadata', 'chapters'].forEach((extra) => {
+      if (extras?.[extra]) vidpullUrl += `&${extra}=1`;
+    });
+    if (options.output) {
+      vidpullUrl += `&output=${encodeURIComponent(options.output)}`;
+    }
+    Object.entries(options.headers || {}).forEach(([name, value]) => {
+      vidpullUrl += `&header=${encodeURIComponent(`${name}: ${value}`)}`;
+    });
+    return vidpullUrl;
+  }
+
+  /**
+   * Extras in the shape the app takes: { subtitles?: string[], thumbnail?: true,
+   * metadata?: true, chapters?: true }, or null when none are wanted. An empty
+   * subtitles list leaves the languages to the app.
+   */
+  function normalizeExtras(extras) {
+    if (!extras) return null;
+
+    const normalized = {};
+    if (Array.isArray(extras.subtitles)) {
+      normalized.subtitles = extras.subtitles.filter(language => typeof language === 'string' && language);
+    }
+    ['thumbnail', 'metadata', 'chapters'].forEach((extra) => {
+      if (extras[extra] === true) normalized[extra] = true;
+    });
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  /**
+   * Whether a subtitle language code is one yt-dlp's --sub-langs takes, e.g. "en" or "pt-br"
+   */
+  function isLanguageCode(code) {
+    return typeof code === 'string' && /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(code);
+  }
+
+  /**
+   * Short description of extras, e.g. "Subs (en, de), Thumbnail"
+   */
+  function formatExtras(extras) {
+    const normalized = normalizeExtras(extras);
+    if (!normalized) return '';
+    return EXTRAS.filter(({ id }) => normalized[id]).map(({ id, shortLabel }) => {
+      const languages = id === 'subtitles' ? normalized.subtitles.join(', ') : '';
+      return languages ? `${shortLabel} (${languages})` : shortLabel;
+    }).join(', ');
+  }
+
+  /**
+   * The yt-dlp command line the app would run for a download, to paste into
+   * a terminal. Login cookies never go into it.
+   * @param {Object} [options] - Same as buildDeepLink
+   */
+  function buildYtDlpCommand(url, format, options = {}) {
+    const args = ['yt-dlp', ...(YTDLP_FORMAT_ARGS[format] || [])];
+    if (options.playlist) {
+      if (options.items) args.push('--playlist-items', options.items);
+    } else {
+      args.push('--no-playlist');
+    }
+    if (options.clip?.start != null || options.clip?.end != null) {
+      args.push('--download-sections', `*${options.clip.start ?? 0}-${options.clip.end ?? 'inf'}`);
+    }
+
+    const extras = normalizeExtras(options.extras);
+    if (extras?.subtitles) {
+      args.push('--write-subs', '--write-auto-subs');
+      if (extras.subtitles.length > 0) args.push('--sub-langs', extras.subtitles.join(','));
+    }
+    if (extras?.thumbnail) args.push('--embed-thumbnail');
+    if (extras?.metadata) args.push('--embed-metadata', '--write-description');
+    if (extras?.chapters) args.push('--embed-chapters');
+    if (options.output) args.push('-o', `${options.output}.%(ext)s`);
+
+    Object.entries(options.headers || {}).forEach(([name, value]) => {
+      args.push('--add-header', `${name}: ${value}`);
+    });
+    args.push(url);
+    return args.map(quoteShellArg).join(' ');
+  }
+
+  function quoteShellArg(arg) {
+    const text = String(arg);
+    return /^[\w@%+=:,./-]+$/.test(text) ? text : `'${text.replace(/'/g, `'\\''`)}'`;
+  }
+
+  /**
+   * Fill in an HTTP target's JSON body template. A string that is exactly one
+   * {{field}} takes the value as is (so {{extras}} becomes an object, {{start}}
+   * a number); inside longer strings fields are written as text. Throws on
+   * invalid JSON or unknown fields.
+   * @param {Object} values - Values by field name (see TEMPLATE_FIELDS)
+   */
+  function renderBodyTemplate(template, values) {
+    const fill = (node) => {
+      if (typeof node === 'string') {
+        const whole = node.match(/^\{\{(\w+)\}\}$/);
+        if (whole) return getTemplateValue(values, whole[1]);
+        return node.replace(/\{\{(\w+)\}\}/g, (match, field) => {
+          const value = getTemplateValue(values, field);
+          return value == null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+      }
+      if (Array.isArray(node)) return node.map(fill);
+      if (node && typeof node === 'object') {
+        return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, fill(value)]));
+      }
+      return node;
+    };
+    return fill(JSON.parse(template));
+  }
+
+  function getTemplateValue(values, field) {
+    if (!TEMPLATE_FIELDS.includes(field)) {
+      throw new Error(`Unknown template field {{${field}}}`);
+    }
+    return values[field] ?? null;
+  }
+
+  /**
+   * Template values for a download, e.g. for renderBodyTemplate
+   */
+  function getTemplateValues({ url, title, pageUrl, format, clip, playlist, items, extras, headers, metadata, output }) {
+    return {
+      url,
+      title: metadata?.title || title || null,
+      pageUrl: pageUrl || null,
+      format: format || DEFAULT_FORMAT,
+      quality: METUBE_QUALITIES[format || DEFAULT_FORMAT] || 'best',
+      start: clip?.start ?? null,
+      end: clip?.end ?? null,
+      playlist: !!playlist,
+      items: items || null,
+      extras: normalizeExtras(extras),
+      headers: headers || null,
+      uploader: metadata?.uploader || null,
+      date: metadata?.date || null,
+      duration: metadata?.duration ?? null,
+      thumbnail: metadata?.thumbnail || null,
+      output: output || null
+    };
+  }
+
+  /**
+   * Details the page showed about a video, in the shape sent with downloads:
+   * { title?, uploader?, date?: 'YYYY-MM-DD', duration?: seconds,
+   * thumbnail?: URL }, or null when there are none
+   */
+  function normalizeMetadata(metadata) {
+    if (!metadata) return null;
+
+    const normalized = {};
+    ['title', 'uploader'].forEach((field) => {
+      const value = typeof metadata[field] === 'string' ? metadata[field].replace(/\s+/g, ' ').trim() : '';
+      if (value) normalized[field] = value.slice(0, 300);
+    });
+    if (/^\d{4}-\d{2}-\d{2}$/.test(metadata.date)) {
+      normalized.date = metadata.date;
+    }
+    if (Number.isFinite(metadata.duration) && metadata.duration > 0) {
+      normalized.duration = Math.round(metadata.duration);
+    }
+    if (typeof metadata.thumbnail === 'string' && /^https?:\/\//.test(metadata.thumbnail)) {
+      normalized.thumbnail = metadata.thumbnail;
+    }
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  /**
+   * Turn a filename template such as "{uploader}/{date} - {title}" into the
+   * yt-dlp output template (without the extension) for one download. Values
+   * the page showed are written in; the rest are left for yt-dlp to fill. A
+   * "/" makes folders inside the download folder. Returns null for an empty
+   * template and throws on unknown fields or paths leaving the folder.
+   * @param {Object} [metadata] - See normalizeMetadata
+   * @param {string} [site] - The video's site, for {site}
+   */
+  function buildOutputTemplate(template, metadata, site) {
+    const text = (template || '').trim();
+    if (!text) return null;
+    if (text.startsWith('/') || text.split('/').some(part => part.trim() === '..' || part.trim() === '')) {
+      throw new Error('Filename templates name files inside the download folder, without empty or ".." folders');
+    }
+
+    const values = { ...normalizeMetadata(metadata), site };
+    // % starts a yt-dlp field, so literal ones are doubled
+    return text.replace(/\{(\w+)\}|%/g, (match, field) => {
+      if (match === '%') return '%%';
+      if (!Object.hasOwn(FILENAME_FIELDS, field)) {
+        throw new Error(`Unknown filename field {${field}}`);
+      }
+      const value = formatFilenameValue(field, values[field]);
+      return value ? value.replace(/%/g, '%%') : FILENAME_FIELDS[field];
+    });
+  }
+
+  /**
+   * A value as text that is safe inside one path segment, or '' when there is none
+   */
+  function formatFilenameValue(field, value) {
+    if (value == null || value === '') return '';
+    if (field === 'duration') {
+      const hours = Math.floor(value / 3600);
+      const minutes = Math.floor((value % 3600) / 60);
+      return [hours, minutes, value % 60].map(part => String(part).padStart(2, '0')).join('-');
+    }
+    return String(value)
+      .replace(/[\/\\:*?"<>|\x00-\x1f]+/g, '_')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^\.+/, '')
+      .slice(0, FILENAME_VALUE_MAX_LENGTH)
+      .trim();
+  }
+
+  function isKnownSendTarget(target) {
+    return SEND_TARGETS.some(t => t.id === target);
+  }
+
+  function getSendTargetLabel(target) {
+    return SEND_TARGETS.find(t => t.id === target)?.label || target;
+  }
+
+  /**
+   * Key used to remember per-site preferences
+   */
+  function getSiteKey(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Effective rule for a site, with rules for parent domains applied first so
+   * a rule for reddit.com also covers old.reddit.com
+   */
+  function getSiteRule(rules, siteKey) {
+    if (!rules || !siteKey) return {};
+
+    const labels = siteKey.split('.');
+    const rule = {};
+    for (let i = Math.max(0, labels.length - 2); i >= 0; i--) {
+      Object.assign(rule, rules[labels.slice(i).join('.')]);
+    }
+    return rule;
+  }
+
+  /**
+   * Whether overlays should be shown on a site under the given rules and mode
+   */
+  function isSiteEnabled(rules, mode, siteKey) {
+    const rule = getSiteRule(rules, siteKey);
+    if (rule.enabled === false) return false;
+    if (mode === 'allowlist') return rule.enabled === true;
+    return true;
+  }
+
+  /**
+   * Format seconds as m:ss or h:mm:ss for clip ranges
+   */
+  function formatClipTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  /**
+   * Short description of a clip range, e.g. "1:05–2:30" or "1:05–end"
+   */
+  function formatClipRange(clip) {
+    if (!clip) return '';
+    const start = clip.start != null ? formatClipTime(clip.start) : 'start';
+    const end = clip.end != null ? formatClipTime(clip.end) : 'end';
+    return `${start}\u2013${end}`;
+  }
+
+  /**
+   * Short relative time for recent entries, a date for older ones
+   */
+  function formatTimestamp(timestamp) {
+    if (!timestamp) return '';
+    const seconds = Math.round((Date.now() - timestamp) / 1000);
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return new Date(timestamp).toLocaleDateString();
+  }
+
+  /**
+   * Whether the user opted in to sending their login cookies for a site along
+   * with downloads from it
+   */
+  function shouldShareCookies(rules, siteKey) {
+    return getSiteRule(rules, siteKey).shareCookies === true;
+  }
+
+  function getFormatLabel(format) {
+    return FORMATS.find(f => f.id === format)?.label || format;
+  }
+
+  function isKnownFormat(format) {
+    return FORMATS.some(f => f.id === format);
+  }
+
+  const api = {
+    FORMATS,
+    DEFAULT_FORMAT,
+    AUDIO_FORMAT,
+    EXTRAS,
+    SEND_TARGETS,
+    DEFAULT_SEND_TARGET,
+    DEFAULT_HTTP_BODY_TEMPLATE,
+    FILENAME_FIELDS,
+    STORAGE_KEY_HISTORY,
+    STORAGE_KEY_SENT_INDEX,
+    SESSION_KEY_POPUP_VIEW,
+    STORAGE_KEY_SITE_RULES,
+    STORAGE_KEY_SITE_MODE,
+    SITE_MODES,
+    cleanVideoUrl,
+    isDownloadableUrl,
+    isAudioUrl,
+    buildDeepLink,
+    normalizeExtras,
+    formatExtras,
+    isLanguageCode,
+    buildYtDlpCommand,
+    renderBodyTemplate,
+    getTemplateValues,
+    normalizeMetadata,
+    buildOutputTemplate,
+    isKnownSendTarget,
+    getSendTargetLabel,
+    getSiteKey,
+    getSiteRule,
+    isSiteEnabled,
+    shouldShareCookies,
+    formatClipTime,
+    formatClipRange,
+    formatTimestamp,
+    getFormatLabel,
+    isKnownFormat,
+    getIframeVideoUrl
+  };
+
+  root.VidPullShared = api;
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})(globalThis);
@@ -0,0 +1,37 @@
+// VidPull Chrome Extension - Test Helpers
+// Each test file gets its own jsdom window; set its URL, the page a fixture
+// was saved from, with a @jest-environment-options docblock.
+
+const fs = require('fs');
+const path = require('path');
+const manifest = require('../manifest.json');
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Run the scripts the content script builds on (browser-api.js, the
+ * resolvers, shared.js and settings.js) in the order the manifest loads them
+ * @returns {Object} { VidPullResolvers, VidPullShared, VidPullSettings }
+ */
+function loadExtensionScripts() {
+  const scripts = manifest.content_scripts[0].js;
+  scripts.slice(0, scripts.indexOf('content.js')).forEach((file) => {
+    require(path.join(EXTENSION_DIR, file));
+  });
+  const { VidPullResolvers, VidPullShared, VidPullSettings } = globalThis;
+  return { VidPullResolvers, VidPullShared, VidPullSettings };
+}
+
+/**
+ * Replace the test document with a saved page from fixtures/
+ * @returns {{document: Document, location: Location}} The resolver context
+ */
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+  const page = new DOMParser().parseFromString(html, 'text/html');
+  document.replaceChild(document.importNode(page.documentElement, true), document.documentElement);
+  return { document, location: window.location };
+}
+
+module.exports = { loadExtensionScripts, loadFixture };
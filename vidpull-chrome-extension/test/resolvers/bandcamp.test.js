@@ -0,0 +1,42 @@
+/**
+ * @jest-environment-options {"url": "https://ambientworks.bandcamp.com/album/music-for-airports?from=discover"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers, VidPullShared } = loadExtensionScripts();
+const { findPermalink, getResolverForUrl } = VidPullResolvers;
+const { getIframeVideoUrl } = VidPullShared;
+
+describe('album page', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('bandcamp-album.html');
+  });
+
+  test('the player resolves to the album', () => {
+    expect(findPermalink(document.getElementById('album-audio'), context))
+      .toBe('https://ambientworks.bandcamp.com/album/music-for-airports');
+  });
+
+  test('downloads as audio', () => {
+    expect(getResolverForUrl(window.location.href).audio).toBe(true);
+  });
+});
+
+describe('embeds', () => {
+  beforeAll(() => {
+    loadFixture('audio-embeds.html');
+  });
+
+  test('the link inside the embed code names the album page', () => {
+    expect(getIframeVideoUrl(document.getElementById('bandcamp-album')))
+      .toBe('https://ambientworks.bandcamp.com/album/music-for-airports');
+  });
+
+  test('without that link the player URL is kept', () => {
+    expect(getIframeVideoUrl(document.getElementById('bandcamp-bare')))
+      .toBe('https://bandcamp.com/EmbeddedPlayer/track=987654321/');
+  });
+});
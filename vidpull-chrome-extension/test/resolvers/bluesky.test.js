@@ -0,0 +1,33 @@
+/**
+ * @jest-environment-options {"url": "https://bsky.app/"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { findPermalink, parseEmbedUrl } = VidPullResolvers;
+
+const video = id => document.getElementById(id);
+
+describe('feed', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('bluesky-feed.html');
+  });
+
+  test('a video resolves to its post, not the reposted-by link', () => {
+    expect(findPermalink(video('plain-video'), context)).toBe('https://bsky.app/profile/nasa.gov/post/3ksq2abcdef2x');
+  });
+
+  test('a video inside a quoted post resolves to the quoted post', () => {
+    expect(findPermalink(video('quoted-video'), context)).toBe('https://bsky.app/profile/spacex.com/post/3kpa1mnopqr2z');
+  });
+});
+
+describe('links', () => {
+  test('parseEmbed turns the embed frame into the post URL', () => {
+    expect(parseEmbedUrl('https://embed.bsky.app/embed/did:plc:z72i7hdynmk6r22z27h6tvur/app.bsky.feed.post/3ksq2abcdef2x'))
+      .toBe('https://bsky.app/profile/did:plc:z72i7hdynmk6r22z27h6tvur/post/3ksq2abcdef2x');
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * @jest-environment-options {"url": "https://www.dailymotion.com/video/x8abc12"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { findPermalink, findMetadata, parseEmbedUrl } = VidPullResolvers;
+
+describe('video page', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('dailymotion-video.html');
+  });
+
+  test('the player resolves to the page', () => {
+    expect(findPermalink(document.getElementById('dm-video'), context)).toBe('https://www.dailymotion.com/video/x8abc12');
+  });
+
+  test('metadata comes from the og: and video: tags', () => {
+    expect(findMetadata(document.getElementById('dm-video'), context, 'https://www.dailymotion.com/video/x8abc12'))
+      .toEqual({ title: 'Red Bull Rampage highlights', date: '2023-10-21', duration: 245 });
+  });
+});
+
+describe('links', () => {
+  test('parseEmbed turns the embed player into the video URL', () => {
+    expect(parseEmbedUrl('https://www.dailymotion.com/embed/video/x8abc12?autoplay=1'))
+      .toBe('https://www.dailymotion.com/video/x8abc12');
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * @jest-environment-options {"url": "https://www.facebook.com/"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { findPermalink, parseEmbedUrl, canonicalizeUrl } = VidPullResolvers;
+
+const video = id => document.getElementById(id);
+
+describe('news feed', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('facebook-feed.html');
+  });
+
+  test('a video resolves to its post\'s /videos/ link without the tracking query', () => {
+    expect(findPermalink(video('post-video'), context)).toBe('https://www.facebook.com/NASA/videos/1234567890123456/');
+  });
+
+  test('a reel resolves to its /reel/ link', () => {
+    expect(findPermalink(video('reel-video'), context)).toBe('https://www.facebook.com/reel/987654321098765/');
+  });
+});
+
+describe('links', () => {
+  test.each([
+    ['https://www.facebook.com/NASA/videos/artemis-rollout/1234567890123456/?mibextid=abc', 'https://www.facebook.com/NASA/videos/1234567890123456/'],
+    ['https://m.facebook.com/watch/?v=1234567890123456&ref=sharing', 'https://www.facebook.com/watch/?v=1234567890123456'],
+    ['https://www.facebook.com/NASA/photos/', 'https://www.facebook.com/NASA/photos/'],
+    ['https://fb.watch/rT3xYz_AbC/', 'https://fb.watch/rT3xYz_AbC/']
+  ])('canonicalizes %s', (url, expected) => {
+    expect(canonicalizeUrl(url)).toBe(expected);
+  });
+
+  test('parseEmbed takes the video URL out of the plugin frame', () => {
+    expect(parseEmbedUrl('https://www.facebook.com/plugins/video.php?height=314&href=https%3A%2F%2Fwww.facebook.com%2FNASA%2Fvideos%2F1234567890123456%2F&show_text=false'))
+      .toBe('https://www.facebook.com/NASA/videos/1234567890123456/');
+  });
+});
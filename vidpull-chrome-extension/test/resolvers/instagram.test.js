@@ -0,0 +1,43 @@
+/**
+ * @jest-environment-options {"url": "https://www.instagram.com/"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { findPermalink, parseEmbedUrl, canonicalizeUrl } = VidPullResolvers;
+
+const video = id => document.getElementById(id);
+
+describe('feed', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('instagram-feed.html');
+  });
+
+  test('each video resolves to its post through the timestamp link', () => {
+    expect(findPermalink(video('reel-video'), context)).toBe('https://www.instagram.com/p/C6xYz12AbCd/');
+    expect(findPermalink(video('second-video'), context)).toBe('https://www.instagram.com/reel/C6wVu98XyZa/');
+  });
+
+  test('a reel page with no post around the video resolves to the page', () => {
+    const reel = document.createElement('video');
+    document.body.appendChild(reel);
+    const reelContext = { document, location: new URL('https://www.instagram.com/reels/C6wVu98XyZa/?igsh=abc') };
+    expect(findPermalink(reel, reelContext)).toBe('https://www.instagram.com/reel/C6wVu98XyZa/');
+    reel.remove();
+  });
+});
+
+describe('links', () => {
+  test('canonicalize drops the username prefix and query', () => {
+    expect(canonicalizeUrl('https://www.instagram.com/natgeo/p/C6xYz12AbCd/?img_index=1'))
+      .toBe('https://www.instagram.com/p/C6xYz12AbCd/');
+  });
+
+  test('parseEmbed turns the embed frame into the post URL', () => {
+    expect(parseEmbedUrl('https://www.instagram.com/reel/C6wVu98XyZa/embed/captioned/'))
+      .toBe('https://www.instagram.com/reel/C6wVu98XyZa/');
+  });
+});
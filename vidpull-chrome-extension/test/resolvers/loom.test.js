@@ -0,0 +1,33 @@
+/**
+ * @jest-environment-options {"url": "https://www.loom.com/share/3f9c1a2b4d5e4f60a7b8c9d0e1f2a3b4?sid=7e1d2c3b"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { findPermalink, findMetadata, parseEmbedUrl } = VidPullResolvers;
+
+const SHARE_URL = 'https://www.loom.com/share/3f9c1a2b4d5e4f60a7b8c9d0e1f2a3b4';
+
+describe('share page', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('loom-share.html');
+  });
+
+  test('the player resolves to the share URL without the session id', () => {
+    expect(findPermalink(document.getElementById('loom-video'), context)).toBe(SHARE_URL);
+  });
+
+  test('metadata comes from the og: tags', () => {
+    expect(findMetadata(document.getElementById('loom-video'), context, SHARE_URL))
+      .toEqual({ title: 'Quarterly roadmap walkthrough' });
+  });
+});
+
+describe('links', () => {
+  test('parseEmbed turns the embed frame into the share URL', () => {
+    expect(parseEmbedUrl('https://www.loom.com/embed/3f9c1a2b4d5e4f60a7b8c9d0e1f2a3b4?hide_owner=true')).toBe(SHARE_URL);
+  });
+});
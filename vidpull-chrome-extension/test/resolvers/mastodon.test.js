@@ -0,0 +1,37 @@
+/**
+ * @jest-environment-options {"url": "https://social.example.org/home"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { findPermalink, getPageResolvers, parseEmbedUrl } = VidPullResolvers;
+
+const video = id => document.getElementById(id);
+
+describe('timeline on a self-hosted instance', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('mastodon-timeline.html');
+  });
+
+  test('the page is recognized by its markup', () => {
+    expect(getPageResolvers(context).map(resolver => resolver.id)).toEqual(['mastodon']);
+  });
+
+  test('each video resolves to its status', () => {
+    expect(findPermalink(video('status-video'), context)).toBe('https://social.example.org/@astro/112441234567890123');
+  });
+
+  test('a boost resolves to the status on its home server', () => {
+    expect(findPermalink(video('remote-video'), context)).toBe('https://mastodon.social/@esa/112440987654321098');
+  });
+});
+
+describe('links', () => {
+  test('parseEmbed turns the embed frame into the status URL', () => {
+    expect(parseEmbedUrl('https://social.example.org/@astro/112441234567890123/embed'))
+      .toBe('https://social.example.org/@astro/112441234567890123');
+  });
+});
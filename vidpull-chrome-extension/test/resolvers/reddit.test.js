@@ -0,0 +1,47 @@
+/**
+ * @jest-environment-options {"url": "https://www.reddit.com/r/space/comments/1cq2abc/starship_flight_4_booster_catch_attempt/"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { findPermalink, getVideoKey } = VidPullResolvers;
+
+const video = id => document.getElementById(id);
+
+describe('feed', () => {
+  let context;
+
+  beforeAll(() => {
+    loadFixture('reddit-feed.html');
+    // The feed was saved from the subreddit's front page
+    context = { document, location: new URL('https://www.reddit.com/r/space/') };
+  });
+
+  test('each video resolves to its own post', () => {
+    expect(findPermalink(video('starship-video'), context))
+      .toBe('https://www.reddit.com/r/space/comments/1cq2abc/starship_flight_4_booster_catch_attempt/');
+    expect(findPermalink(video('aurora-video'), context))
+      .toBe('https://www.reddit.com/r/space/comments/1cq3def/aurora_timelapse_from_last_night/');
+  });
+});
+
+describe('post page', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('reddit-post.html');
+  });
+
+  test('a post with no comments link in it resolves to the page', () => {
+    expect(findPermalink(video('post-video'), context)).toBe(window.location.href);
+  });
+});
+
+describe('getVideoKey', () => {
+  test('maps every link to one post to the same key', () => {
+    const key = getVideoKey('https://www.reddit.com/r/space/comments/1cq2abc/starship_flight_4_booster_catch_attempt/');
+    expect(getVideoKey('https://old.reddit.com/r/space/comments/1cq2abc/')).toBe(key);
+    expect(getVideoKey('https://redd.it/1cq2abc')).toBe(key);
+  });
+});
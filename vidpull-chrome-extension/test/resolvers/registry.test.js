@@ -0,0 +1,63 @@
+const { loadExtensionScripts } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { getDomDistance, getPathToRoot, parseItemCount } = VidPullResolvers.utils;
+
+describe('getDomDistance', () => {
+  beforeAll(() => {
+    document.body.innerHTML = `
+      <article id="post">
+        <div id="header"><a id="timestamp" href="/status/1">now</a></div>
+        <div id="media"><div id="player"><video id="video"></video></div></div>
+        <div id="quote"><div id="quote-media"><a id="quote-link" href="/status/2">then</a></div></div>
+      </article>
+    `;
+  });
+
+  const element = id => document.getElementById(id);
+
+  test('is zero from an element to itself', () => {
+    expect(getDomDistance(element('video'), element('video'))).toBe(0);
+  });
+
+  test('counts the steps up to the common ancestor and back down', () => {
+    expect(getDomDistance(element('video'), element('player'))).toBe(1);
+    // video > player > media > post < header < timestamp
+    expect(getDomDistance(element('video'), element('timestamp'))).toBe(5);
+    // video > player > media > post < quote < quote-media < quote-link
+    expect(getDomDistance(element('video'), element('quote-link'))).toBe(6);
+  });
+
+  test('is symmetric', () => {
+    expect(getDomDistance(element('timestamp'), element('video')))
+      .toBe(getDomDistance(element('video'), element('timestamp')));
+  });
+
+  test('ranks the closer of two links lower', () => {
+    expect(getDomDistance(element('video'), element('timestamp')))
+      .toBeLessThan(getDomDistance(element('video'), element('quote-link')));
+  });
+
+  test('getPathToRoot lists the element and every ancestor up to <html>', () => {
+    const path = getPathToRoot(element('video'));
+    expect(path[0]).toBe(element('video'));
+    expect(path[path.length - 1]).toBe(document.documentElement);
+  });
+});
+
+describe('parseItemCount', () => {
+  test.each([
+    ['25 videos', 25],
+    ['1 video', 1],
+    ['3 / 24', 24],
+    ['1,204 videos', 1204]
+  ])('reads %p as %p', (text, count) => {
+    expect(parseItemCount(text)).toBe(count);
+  });
+
+  test('gives null for rounded or missing counts', () => {
+    expect(parseItemCount('1.2K videos')).toBeNull();
+    expect(parseItemCount('')).toBeNull();
+    expect(parseItemCount(null)).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * @jest-environment-options {"url": "https://soundcloud.com/feed"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { findPermalink, parseEmbedUrl, canonicalizeUrl } = VidPullResolvers;
+
+describe('stream page', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('soundcloud-stream.html');
+  });
+
+  test('the player resolves to the track in the player bar, not the set it was started from', () => {
+    expect(findPermalink(document.getElementById('player-audio'), context))
+      .toBe('https://soundcloud.com/nasa/sounds-of-the-solar-system');
+  });
+});
+
+describe('embeds', () => {
+  beforeAll(() => {
+    loadFixture('audio-embeds.html');
+  });
+
+  const src = id => document.getElementById(id).src;
+
+  test('the widget resolves to the track it names', () => {
+    expect(parseEmbedUrl(src('soundcloud-track'))).toBe('https://soundcloud.com/nasa/sounds-of-the-solar-system');
+  });
+
+  test('api track links keep their id and drop the secret token', () => {
+    expect(parseEmbedUrl(src('soundcloud-api'))).toBe('https://api.soundcloud.com/tracks/293');
+  });
+});
+
+describe('canonicalize', () => {
+  test('keeps sets and drops sharing parameters', () => {
+    expect(canonicalizeUrl('https://soundcloud.com/nasa/sets/space-sounds?si=abc&utm_source=clipboard'))
+      .toBe('https://soundcloud.com/nasa/sets/space-sounds');
+  });
+
+  test('leaves site pages alone', () => {
+    expect(canonicalizeUrl('https://soundcloud.com/discover/sets')).toBe('https://soundcloud.com/discover/sets');
+  });
+});
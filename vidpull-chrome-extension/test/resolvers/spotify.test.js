@@ -0,0 +1,43 @@
+/**
+ * @jest-environment-options {"url": "https://open.spotify.com/intl-de/episode/4rOoJ6Egrf8K2IrywzwOMk?si=5f6e7d8c"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { findPermalink, findMetadata, parseEmbedUrl, canonicalizeUrl } = VidPullResolvers;
+
+const EPISODE_URL = 'https://open.spotify.com/episode/4rOoJ6Egrf8K2IrywzwOMk';
+
+describe('episode page', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('spotify-episode.html');
+  });
+
+  test('the player resolves to the episode without the locale prefix', () => {
+    expect(findPermalink(document.getElementById('episode-audio'), context)).toBe(EPISODE_URL);
+  });
+
+  test('metadata comes from the og: tags', () => {
+    expect(findMetadata(document.getElementById('episode-audio'), context, EPISODE_URL))
+      .toEqual({ title: 'Episode 312: Artemis II Crew' });
+  });
+});
+
+describe('embeds', () => {
+  beforeAll(() => {
+    loadFixture('audio-embeds.html');
+  });
+
+  test('episode players resolve to the episode', () => {
+    expect(parseEmbedUrl(document.getElementById('spotify-episode').src)).toBe(EPISODE_URL);
+  });
+
+  test('music players are skipped, since yt-dlp cannot download them', () => {
+    expect(parseEmbedUrl(document.getElementById('spotify-track').src)).toBeNull();
+    expect(canonicalizeUrl('https://open.spotify.com/track/11dFghVXANMlKmJXsNCbNl'))
+      .toBe('https://open.spotify.com/track/11dFghVXANMlKmJXsNCbNl');
+  });
+});
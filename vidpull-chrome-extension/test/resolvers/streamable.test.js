@@ -0,0 +1,37 @@
+/**
+ * @jest-environment-options {"url": "https://streamable.com/moo4x2"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { findPermalink, findMetadata, parseEmbedUrl, canonicalizeUrl } = VidPullResolvers;
+
+describe('video page', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('streamable-video.html');
+  });
+
+  test('the player resolves to the page', () => {
+    expect(findPermalink(document.getElementById('player'), context)).toBe('https://streamable.com/moo4x2');
+  });
+
+  test('metadata comes from the og: tags', () => {
+    expect(findMetadata(document.getElementById('player'), context, 'https://streamable.com/moo4x2'))
+      .toEqual({ title: 'Buzzer beater from half court' });
+  });
+});
+
+describe('links', () => {
+  test('embed and original links canonicalize to the video page', () => {
+    expect(parseEmbedUrl('https://streamable.com/e/moo4x2?autoplay=1')).toBe('https://streamable.com/moo4x2');
+    expect(canonicalizeUrl('https://streamable.com/o/moo4x2')).toBe('https://streamable.com/moo4x2');
+  });
+
+  test('site pages are not videos', () => {
+    expect(canonicalizeUrl('https://streamable.com/login/')).toBe('https://streamable.com/login/');
+    expect(canonicalizeUrl('https://streamable.com/documentation/api')).toBe('https://streamable.com/documentation/api');
+  });
+});
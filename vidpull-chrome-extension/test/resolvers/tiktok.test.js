@@ -0,0 +1,38 @@
+/**
+ * @jest-environment-options {"url": "https://www.tiktok.com/foryou"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { findPermalink, parseEmbedUrl, getVideoKey } = VidPullResolvers;
+
+const video = id => document.getElementById(id);
+
+describe('For You feed', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('tiktok-foryou.html');
+  });
+
+  test('a video wrapped in its link resolves to that video', () => {
+    expect(findPermalink(video('first-video'), context)).toBe('https://www.tiktok.com/@nasa/video/7368012345678901234');
+  });
+
+  test('a video next to its link resolves to it without the tracking query', () => {
+    expect(findPermalink(video('second-video'), context)).toBe('https://www.tiktok.com/@natgeo/video/7368098765432109876');
+  });
+});
+
+describe('links', () => {
+  test('parseEmbed turns the embed player into the embed URL', () => {
+    expect(parseEmbedUrl('https://www.tiktok.com/embed/v2/7368012345678901234?lang=en-US'))
+      .toBe('https://www.tiktok.com/embed/7368012345678901234');
+  });
+
+  test('profile links and embeds of one video share a key', () => {
+    expect(getVideoKey('https://www.tiktok.com/embed/7368012345678901234'))
+      .toBe(getVideoKey('https://www.tiktok.com/@nasa/video/7368012345678901234?lang=en'));
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * @jest-environment-options {"url": "https://www.twitch.tv/videos/2051234567?collection=Xy9aBcDeFgHi&t=1h2m"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { findPermalink, findCollection, parseEmbedUrl } = VidPullResolvers;
+
+const vod = () => document.getElementById('vod-video');
+
+describe('VOD page', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('twitch-vod.html');
+  });
+
+  test('the player resolves to the page', () => {
+    expect(findPermalink(vod(), context)).toBe(window.location.href);
+  });
+
+  test('a VOD in a collection offers the collection', () => {
+    expect(findCollection(vod(), context)).toEqual({
+      kind: 'collection',
+      url: 'https://www.twitch.tv/collections/Xy9aBcDeFgHi',
+      title: null,
+      count: null
+    });
+  });
+
+  test('a channel\'s videos page offers the past broadcasts', () => {
+    const channelContext = { document, location: new URL('https://www.twitch.tv/shroud/videos') };
+    expect(findCollection(vod(), channelContext))
+      .toEqual({ kind: 'channel', url: 'https://www.twitch.tv/shroud/videos', title: 'shroud', count: null });
+  });
+
+  test('clip pages resolve to the clip', () => {
+    const clipContext = { document, location: new URL('https://www.twitch.tv/shroud/clip/FunnyClipName-AbC123xyz') };
+    expect(findPermalink(vod(), clipContext)).toBe('https://www.twitch.tv/shroud/clip/FunnyClipName-AbC123xyz');
+    expect(findCollection(vod(), clipContext)).toBeNull();
+  });
+});
+
+describe('links', () => {
+  test('parseEmbed turns clip and video players into their pages', () => {
+    expect(parseEmbedUrl('https://clips.twitch.tv/embed?clip=FunnyClipName-AbC123xyz&parent=example.com'))
+      .toBe('https://clips.twitch.tv/FunnyClipName-AbC123xyz');
+    expect(parseEmbedUrl('https://player.twitch.tv/?video=v2051234567&parent=example.com'))
+      .toBe('https://www.twitch.tv/videos/2051234567');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @jest-environment-options {"url": "https://x.com/home"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { isValidStatusLink, findClosestStatusLink } = VidPullResolvers.twitter;
+const { findPermalink } = VidPullResolvers;
+
+const video = id => document.getElementById(id);
+
+describe('isValidStatusLink', () => {
+  test.each([
+    'https://x.com/NASA/status/1790000000000000001',
+    'https://twitter.com/i/status/1790000000000000001',
+    'https://twitter.com/NASA/statuses/1790000000000000001',
+    'https://x.com/NASA/status/1790000000000000001/analytics'
+  ])('accepts %s', (href) => {
+    expect(isValidStatusLink(href)).toBe(true);
+  });
+
+  test.each([
+    'https://x.com/NASA',
+    'https://x.com/NASA/status/',
+    'https://x.com/esa/status/1790000000000000003/photo/1',
+    'https://x.com/esa/status/1790000000000000003/video/1',
+    '',
+    null
+  ])('rejects %s', (href) => {
+    expect(isValidStatusLink(href)).toBe(false);
+  });
+});
+
+describe('timeline', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('x-timeline.html');
+  });
+
+  test('finds the tweet a video belongs to through its timestamp link', () => {
+    expect(findClosestStatusLink(video('launch-video'))).toBe('https://x.com/NASA/status/1790000000000000001');
+  });
+
+  test('skips the /video/ link wrapped around the player', () => {
+    expect(findClosestStatusLink(video('photo-video'))).toBe('https://x.com/esa/status/1790000000000000003');
+  });
+
+  test('falls back to data-tweet-id in embedded timelines', () => {
+    expect(findClosestStatusLink(video('embedded-video'))).toBeNull();
+    expect(findPermalink(video('embedded-video'), context)).toBe('https://twitter.com/i/status/1790000000000000004');
+  });
+});
+
+describe('quoted tweets', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('x-quote-tweet.html');
+  });
+
+  test('a video inside a quoted tweet resolves to the quoted tweet', () => {
+    expect(findClosestStatusLink(video('quoted-video'))).toBe('https://x.com/SpaceX/status/1780000000000000002');
+    expect(findPermalink(video('quoted-video'), context)).toBe('https://x.com/SpaceX/status/1780000000000000002');
+  });
+
+  test('a video in a tweet that quotes another resolves to the outer tweet', () => {
+    expect(findClosestStatusLink(video('outer-video'))).toBe('https://x.com/RocketLab/status/1790000000000000020');
+  });
+
+  test('the inspector lists the quoting tweet after the quoted one', () => {
+    const urls = VidPullResolvers.findPermalinkCandidates(video('quoted-video'), context).map(({ url }) => url);
+    expect(urls[0]).toBe('https://x.com/SpaceX/status/1780000000000000002');
+    expect(urls).toContain('https://x.com/astro_fan/status/1790000000000000010');
+  });
+
+  test('metadata comes from the quoted tweet for its video', () => {
+    expect(VidPullResolvers.findMetadata(video('quoted-video'), context, 'https://x.com/SpaceX/status/1780000000000000002'))
+      .toMatchObject({ title: 'Booster landing from the drone ship camera', date: '2024-04-20' });
+  });
+});
+
+describe('getVideoKey', () => {
+  test('maps every link to one tweet to the same key', () => {
+    const { getVideoKey } = VidPullResolvers;
+    const key = getVideoKey('https://x.com/NASA/status/1790000000000000001');
+    expect(getVideoKey('https://twitter.com/NASA/status/1790000000000000001?s=20')).toBe(key);
+    expect(getVideoKey('https://twitter.com/i/status/1790000000000000001')).toBe(key);
+  });
+});
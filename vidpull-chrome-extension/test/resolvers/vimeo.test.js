@@ -0,0 +1,49 @@
+/**
+ * @jest-environment-options {"url": "https://vimeo.com/22439234"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const { findPermalink, findMetadata, parseEmbedUrl, getVideoKey } = VidPullResolvers;
+
+describe('video page', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('vimeo-video.html');
+  });
+
+  test('the player resolves to the page', () => {
+    expect(findPermalink(document.getElementById('vimeo-video'), context)).toBe('https://vimeo.com/22439234');
+  });
+
+  test('metadata comes from the JSON-LD VideoObject, then the og: tags', () => {
+    expect(findMetadata(document.getElementById('vimeo-video'), context, 'https://vimeo.com/22439234')).toEqual({
+      title: 'The Mountain',
+      uploader: 'TSO Photography',
+      date: '2011-04-14',
+      duration: 191,
+      thumbnail: 'https://i.vimeocdn.com/video/145026168-1280x720.jpg'
+    });
+  });
+
+  test('a showcase page is not a video', () => {
+    const showcase = { document, location: new URL('https://vimeo.com/showcase/7654321') };
+    expect(findPermalink(document.getElementById('vimeo-video'), showcase)).toBeNull();
+  });
+});
+
+describe('links', () => {
+  test('parseEmbed turns the player into the video URL', () => {
+    expect(parseEmbedUrl('https://player.vimeo.com/video/22439234?h=abc')).toBe('https://vimeo.com/22439234');
+  });
+});
+
+describe('getVideoKey', () => {
+  test('channel, player and plain links to a video share a key', () => {
+    const key = getVideoKey('https://vimeo.com/22439234');
+    expect(getVideoKey('https://vimeo.com/channels/staffpicks/22439234')).toBe(key);
+    expect(getVideoKey('https://player.vimeo.com/video/22439234?h=abc')).toBe(key);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @jest-environment-options {"url": "https://www.youtube.com/"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('../helpers');
+
+const { VidPullResolvers } = loadExtensionScripts();
+const {
+  findPermalink,
+  findCollection,
+  findMetadata,
+  parseEmbedUrl,
+  canonicalizeUrl,
+  getStartTime,
+  getVideoKey
+} = VidPullResolvers;
+
+const video = id => document.getElementById(id);
+
+describe('home feed', () => {
+  let context;
+
+  beforeAll(() => {
+    context = loadFixture('youtube-home.html');
+  });
+
+  test('a hover preview resolves to its card\'s video without tracking or start time', () => {
+    expect(findPermalink(video('first-preview'), context)).toBe('https://www.youtube.com/watch?v=21X5lGlDOfg');
+    expect(findPermalink(video('second-preview'), context)).toBe('https://www.youtube.com/watch?v=aqz-KE-bpKQ');
+  });
+
+  test('metadata comes from the card, not the page', () => {
+    expect(findMetadata(video('second-preview'), context, 'https://www.youtube.com/watch?v=aqz-KE-bpKQ'))
+      .toEqual({ title: 'Big Buck Bunny in 60 seconds', uploader: 'Blender Studio' });
+  });
+
+  test('the home page is not a collection', () => {
+    expect(findCollection(video('first-preview'), context)).toBeNull();
+  });
+});
+
+describe('watch page in a playlist', () => {
+  const WATCH_URL = 'https://www.youtube.com/watch?v=m7Jr2mPEwVE';
+  let context;
+
+  beforeAll(() => {
+    loadFixture('youtube-watch.html');
+    context = { document, location: new URL(`${WATCH_URL}&list=PLiuUQ9asub3Qc4B4cJuH9K1Pvb0S5MJqd&index=3`) };
+  });
+
+  test('offers the playlist with its title and length', () => {
+    expect(findCollection(video('main-video'), context)).toEqual({
+      kind: 'playlist',
+      url: 'https://www.youtube.com/playlist?list=PLiuUQ9asub3Qc4B4cJuH9K1Pvb0S5MJqd',
+      title: 'Apollo Missions',
+      count: 24
+    });
+  });
+
+  test('metadata comes from what is shown, not the stale og: tags', () => {
+    expect(findMetadata(video('main-video'), context, WATCH_URL))
+      .toEqual({ title: 'Apollo 11 Launch', uploader: 'NASA' });
+  });
+
+  test('mixes are not offered as playlists', () => {
+    const mixContext = { document, location: new URL(`${WATCH_URL}&list=RDm7Jr2mPEwVE`) };
+    expect(findCollection(video('main-video'), mixContext)).toBeNull();
+  });
+
+  test('a channel page offers the channel\'s videos', () => {
+    const channelContext = { document, location: new URL('https://www.youtube.com/@NASA/featured') };
+    expect(findCollection(video('main-video'), channelContext))
+      .toMatchObject({ kind: 'channel', url: 'https://www.youtube.com/@NASA/videos' });
+  });
+});
+
+describe('links', () => {
+  test('parseEmbed turns both embed hosts into the watch URL', () => {
+    expect(parseEmbedUrl('https://www.youtube.com/embed/m7Jr2mPEwVE?rel=0')).toBe('https://www.youtube.com/watch?v=m7Jr2mPEwVE');
+    expect(parseEmbedUrl('https://www.youtube-nocookie.com/embed/m7Jr2mPEwVE')).toBe('https://www.youtube.com/watch?v=m7Jr2mPEwVE');
+  });
+
+  test('canonicalize reduces every link to a video to its watch URL', () => {
+    expect(canonicalizeUrl('https://youtu.be/m7Jr2mPEwVE?si=abc')).toBe('https://www.youtube.com/watch?v=m7Jr2mPEwVE');
+    expect(canonicalizeUrl('https://www.youtube.com/shorts/m7Jr2mPEwVE')).toBe('https://www.youtube.com/watch?v=m7Jr2mPEwVE');
+    expect(canonicalizeUrl('https://www.youtube.com/watch?v=m7Jr2mPEwVE&list=PL1&index=3'))
+      .toBe('https://www.youtube.com/watch?v=m7Jr2mPEwVE');
+  });
+
+  test.each([
+    ['https://www.youtube.com/watch?v=m7Jr2mPEwVE&t=1h2m3s', 3723],
+    ['https://youtu.be/m7Jr2mPEwVE?t=90', 90],
+    ['https://www.youtube.com/embed/m7Jr2mPEwVE?start=30', 30],
+    ['https://www.youtube.com/watch?v=m7Jr2mPEwVE', null]
+  ])('getStartTime reads %s as %p', (url, seconds) => {
+    expect(getStartTime(url)).toBe(seconds);
+  });
+
+  test('every link to a video maps to one key', () => {
+    const key = getVideoKey('https://www.youtube.com/watch?v=m7Jr2mPEwVE');
+    expect(getVideoKey('https://youtu.be/m7Jr2mPEwVE?si=abc')).toBe(key);
+    expect(getVideoKey('https://www.youtube.com/shorts/m7Jr2mPEwVE')).toBe(key);
+    expect(getVideoKey('https://www.youtube-nocookie.com/embed/m7Jr2mPEwVE')).toBe(key);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * @jest-environment node
+ */
+
+// Settings run in the service worker as well as in pages, and need no DOM
+const { loadExtensionScripts } = require('./helpers');
+
+/**
+ * In-memory stand-in for chrome.storage.sync with the promise API MV3 gives
+ * when no callback is passed
+ */
+function createChromeMock() {
+  let data = {};
+  const listeners = [];
+
+  const notify = (changes) => {
+    if (Object.keys(changes).length > 0) {
+      listeners.forEach(listener => listener(changes, 'sync'));
+    }
+  };
+
+  const sync = {
+    get: jest.fn(async (keys) => {
+      if (keys === null || keys === undefined) return structuredClone(data);
+      const result = {};
+      [].concat(keys).forEach((key) => {
+        if (key in data) result[key] = structuredClone(data[key]);
+      });
+      return result;
+    }),
+    set: jest.fn(async (items) => {
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: data[key], newValue: structuredClone(value) };
+        data[key] = structuredClone(value);
+      });
+      notify(changes);
+    }),
+    remove: jest.fn(async (keys) => {
+      const changes = {};
+      [].concat(keys).forEach((key) => {
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      });
+      notify(changes);
+    })
+  };
+
+  return {
+    runtime: { getURL: path => `chrome-extension://vidpull/${path}` },
+    storage: {
+      sync,
+      onChanged: { addListener: listener => listeners.push(listener) }
+    },
+    // Test-only access to what is stored
+    _setData: (items) => { data = structuredClone(items); },
+    _getData: () => structuredClone(data)
+  };
+}
+
+globalThis.chrome = createChromeMock();
+const { VidPullSettings } = loadExtensionScripts();
+const { SETTINGS_VERSION, SettingsError } = VidPullSettings;
+
+beforeEach(() => {
+  chrome._setData({});
+  jest.clearAllMocks();
+});
+
+describe('load', () => {
+  test('gives the defaults for empty storage', async () => {
+    chrome._setData({ vidpullSettingsVersion: SETTINGS_VERSION });
+    await expect(VidPullSettings.load()).resolves.toEqual(VidPullSettings.getDefaults());
+  });
+
+  test('reads stored values under their storage keys', async () => {
+    chrome._setData({
+      vidpullSettingsVersion: SETTINGS_VERSION,
+      overlaysVisible: false,
+      vidpullSiteMode: 'allowlist',
+      vidpullSendTarget: 'http',
+      vidpullSiteRules: { 'youtube.com': { format: '720p', shareCookies: true } }
+    });
+    const settings = await VidPullSettings.load();
+    expect(settings.overlaysVisible).toBe(false);
+    expect(settings.siteMode).toBe('allowlist');
+    expect(settings.sendTarget).toBe('http');
+    expect(settings.siteRules).toEqual({ 'youtube.com': { format: '720p', shareCookies: true } });
+  });
+
+  test('replaces invalid stored values with their defaults', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    chrome._setData({
+      vidpullSettingsVersion: SETTINGS_VERSION,
+      extensionEnabled: 'yes',
+      vidpullButtonPosition: { xPercent: 'left' },
+      vidpullSiteMode: 'sometimes',
+      vidpullSendTarget: 'ftp',
+      vidpullSiteRules: {
+        'vimeo.com': { format: '1080p' },
+        'bad site!': { enabled: false },
+        'twitch.tv': { format: '8k' }
+      }
+    });
+    const settings = await VidPullSettings.load();
+    const defaults = VidPullSettings.getDefaults();
+    expect(settings.extensionEnabled).toBe(defaults.extensionEnabled);
+    expect(settings.buttonPosition).toEqual(defaults.buttonPosition);
+    expect(settings.siteMode).toBe(defaults.siteMode);
+    expect(settings.sendTarget).toBe(defaults.sendTarget);
+    // One bad rule doesn't cost the others
+    expect(settings.siteRules).toEqual({ 'vimeo.com': { format: '1080p' } });
+    console.warn.mockRestore();
+  });
+});
+
+describe('migrate', () => {
+  test('folds version 1 site formats into the site rules', async () => {
+    chrome._setData({
+      overlaysVisible: true,
+      vidpullSiteFormats: { 'youtube.com': 'audio', 'vimeo.com': '720p', 'example.com': 'nonsense' },
+      vidpullSiteRules: { 'youtube.com': { enabled: true } }
+    });
+
+    const settings = await VidPullSettings.load();
+
+    expect(settings.siteRules).toEqual({
+      'youtube.com': { enabled: true, format: 'audio' },
+      'vimeo.com': { format: '720p' }
+    });
+    const stored = chrome._getData();
+    expect(stored.vidpullSettingsVersion).toBe(SETTINGS_VERSION);
+    expect(stored).not.toHaveProperty('vidpullSiteFormats');
+    expect(chrome.storage.sync.remove).toHaveBeenCalledWith(['vidpullSiteFormats']);
+  });
+
+  test('leaves current data alone', async () => {
+    chrome._setData({ vidpullSettingsVersion: SETTINGS_VERSION, overlaysVisible: false });
+    await VidPullSettings.migrate();
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+});
+
+describe('save', () => {
+  test('stores validated values under their storage keys', async () => {
+    await VidPullSettings.save({ overlaysVisible: false, buttonPosition: { xPercent: 5, yPercent: 95 } });
+    expect(chrome._getData()).toEqual({
+      overlaysVisible: false,
+      vidpullButtonPosition: { xPercent: 5, yPercent: 95 }
+    });
+  });
+
+  test('rejects invalid values without storing anything', async () => {
+    await expect(VidPullSettings.save({ siteMode: 'sometimes' })).rejects.toThrow(SettingsError);
+    await expect(VidPullSettings.save({ buttonPosition: { xPercent: 'left', yPercent: 5 } })).rejects.toThrow(SettingsError);
+    await expect(VidPullSettings.save({ httpTarget: { url: 'ftp://nas.local' } })).rejects.toThrow(/http/);
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test('updateSiteRule drops fields set to undefined and empty rules', async () => {
+    chrome._setData({ vidpullSettingsVersion: SETTINGS_VERSION, vidpullSiteRules: { 'x.com': { format: 'best' } } });
+    await VidPullSettings.updateSiteRule('x.com', { shareCookies: true });
+    expect(chrome._getData().vidpullSiteRules).toEqual({ 'x.com': { format: 'best', shareCookies: true } });
+
+    await VidPullSettings.updateSiteRule('x.com', { format: undefined, shareCookies: undefined });
+    expect(chrome._getData().vidpullSiteRules).toEqual({});
+  });
+});
+
+describe('onChange', () => {
+  test('reports changed settings by name, with defaults for removed ones', async () => {
+    const callback = jest.fn();
+    VidPullSettings.onChange(callback);
+
+    await VidPullSettings.save({ siteMode: 'allowlist' });
+    expect(callback).toHaveBeenLastCalledWith({ siteMode: 'allowlist' });
+
+    await chrome.storage.sync.remove('vidpullSiteMode');
+    expect(callback).toHaveBeenLastCalledWith({ siteMode: VidPullSettings.getDefaults().siteMode });
+  });
+});
+
+describe('import and export', () => {
+  test('round-trips every setting', async () => {
+    await VidPullSettings.save({ overlaysVisible: false, siteRules: { 'vimeo.com': { format: '480p' } } });
+    const json = await VidPullSettings.exportSettings();
+
+    chrome._setData({});
+    const settings = await VidPullSettings.importSettings(json);
+
+    expect(settings.overlaysVisible).toBe(false);
+    expect(settings.siteRules).toEqual({ 'vimeo.com': { format: '480p' } });
+    await expect(VidPullSettings.load()).resolves.toEqual(settings);
+  });
+
+  test('leaves the server auth header out and keeps the current one on import', async () => {
+    const httpTarget = { url: 'http://nas.local:8081/add', authHeader: 'Authorization: Bearer secret' };
+    await VidPullSettings.save({ httpTarget });
+    const json = await VidPullSettings.exportSettings();
+    expect(json).not.toContain('secret');
+
+    await VidPullSettings.save({ httpTarget: { ...httpTarget, authHeader: 'Authorization: Bearer other' } });
+    const settings = await VidPullSettings.importSettings(json);
+
+    expect(settings.httpTarget).toMatchObject({ url: httpTarget.url, authHeader: 'Authorization: Bearer other' });
+  });
+
+  test('rejects files that are not settings exports', async () => {
+    await expect(VidPullSettings.importSettings('{')).rejects.toThrow('not valid JSON');
+    await expect(VidPullSettings.importSettings('{"kind":"other"}')).rejects.toThrow('not a VidPull settings export');
+    await expect(VidPullSettings.importSettings(JSON.stringify({
+      kind: 'vidpull-settings',
+      version: SETTINGS_VERSION + 1,
+      settings: {}
+    }))).rejects.toThrow('newer version');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment-options {"url": "https://blog.example.com/2024/05/videos-from-around-the-web"}
+ */
+
+const { loadExtensionScripts, loadFixture } = require('./helpers');
+
+const { VidPullShared } = loadExtensionScripts();
+const { cleanVideoUrl, isDownloadableUrl, getIframeVideoUrl } = VidPullShared;
+
+describe('cleanVideoUrl', () => {
+  test.each([
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PL123&index=4', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'],
+    ['https://youtu.be/dQw4w9WgXcQ?si=Zx1Qe2Lk', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'],
+    ['https://youtu.be/dQw4w9WgXcQ?t=42', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'],
+    ['https://www.youtube.com/live/jfKfPfyJRdk?si=abc', 'https://www.youtube.com/watch?v=jfKfPfyJRdk'],
+    ['https://m.youtube.com/live/jfKfPfyJRdk/', 'https://www.youtube.com/watch?v=jfKfPfyJRdk'],
+    ['https://www.youtube.com/shorts/aqz-KE-bpKQ', 'https://www.youtube.com/watch?v=aqz-KE-bpKQ'],
+    ['https://www.youtube.com/embed/dQw4w9WgXcQ?start=30', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'],
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1m5s', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ']
+  ])('turns %s into the watch URL', (url, expected) => {
+    expect(cleanVideoUrl(url)).toBe(expected);
+  });
+
+  test('leaves YouTube pages that are not one video alone', () => {
+    expect(cleanVideoUrl('https://www.youtube.com/@NASA/videos')).toBe('https://www.youtube.com/@NASA/videos');
+    expect(cleanVideoUrl('https://www.youtube.com/playlist?list=PL123')).toBe('https://www.youtube.com/playlist?list=PL123');
+  });
+
+  test('leaves other sites and unparseable URLs alone', () => {
+    expect(cleanVideoUrl('https://example.com/watch?v=1&t=5')).toBe('https://example.com/watch?v=1&t=5');
+    expect(cleanVideoUrl('not a url')).toBe('not a url');
+  });
+});
+
+describe('isDownloadableUrl', () => {
+  test.each([
+    'https://video.twimg.com/ext_tw_video/1/pu/vid/720x1280/a.mp4',
+    'https://v.redd.it/k2j3h4g5f6d7/DASH_720.mp4',
+    'http://example.com/video.webm'
+  ])('accepts %s', (url) => {
+    expect(isDownloadableUrl(url)).toBe(true);
+  });
+
+  test.each([
+    ['a blob: URL', 'blob:https://x.com/5f1c7a52-7d3b-4bb8-9e0f-3f3c8d2b1a11'],
+    ['a data: URI', 'data:video/mp4;base64,AAAA'],
+    ['whitespace', '   '],
+    ['an empty string', ''],
+    ['null', null],
+    ['a non-string', 42]
+  ])('rejects %s', (label, url) => {
+    expect(isDownloadableUrl(url)).toBe(false);
+  });
+});
+
+describe('getIframeVideoUrl', () => {
+  beforeAll(() => {
+    loadFixture('embeds.html');
+  });
+
+  const iframe = id => document.getElementById(id);
+
+  test.each([
+    ['youtube', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'],
+    ['youtube-nocookie', 'https://www.youtube.com/watch?v=jNQXAC9IVRw'],
+    ['vimeo', 'https://vimeo.com/76979871'],
+    ['dailymotion', 'https://www.dailymotion.com/video/x8abc12'],
+    ['twitch-clip', 'https://clips.twitch.tv/FunnyClipName-AbC123xyz'],
+    ['twitch-video', 'https://www.twitch.tv/videos/2051234567'],
+    ['facebook', 'https://www.facebook.com/nasa/videos/1234567890/'],
+    ['twitter', 'https://twitter.com/i/status/1790000000000000001']
+  ])('resolves the %s embed to its watch URL', (id, expected) => {
+    expect(getIframeVideoUrl(iframe(id))).toBe(expected);
+  });
+
+  test('returns null for players it does not know and frames without a src', () => {
+    expect(getIframeVideoUrl(iframe('unknown'))).toBeNull();
+    expect(getIframeVideoUrl(iframe('no-src'))).toBeNull();
+    expect(getIframeVideoUrl(null)).toBeNull();
+  });
+});